@@ -1,10 +1,45 @@
 #!/usr/bin/env node
 const { Command } = require('commander');
-const { parse } = require('./src/parser');
-const { execute } = require('./src/runtime');
+const { parse, validate } = require('./src/parser');
+const { execute, RuntimeAPI } = require('./src/runtime');
+const { format } = require('./src/printer');
+const {
+  ReadlineInputProvider,
+  AnswersInputProvider,
+  SuspendableInputProvider
+} = require('./src/input');
+const { createNdjsonSink, createWebhookSink } = require('./src/events');
+const { createCheckpointStore } = require('./src/checkpoint');
+const { createRunHistory, diffRuns } = require('./src/history');
+const { AuditLog } = require('./src/audit');
+const { Tracer, OtlpJsonFileExporter } = require('./src/tracing');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+// Where `olang runs` looks, and where --history without a location records
+const DEFAULT_HISTORY = process.env.OLANG_HISTORY || 'logs/runs.jsonl';
+
+// Human-readable output; run and resume move it to stderr with --events stdout
+// and mask the running workflow's secrets in it
+let logSink = console.log;
+let maskSecrets = text => text;
+const log = (...args) => logSink(...args.map(arg => (typeof arg === 'string' ? maskSecrets(arg) : arg)));
+
+/**
+ * Keep stdout valid NDJSON when events are streamed there
+ */
+function routeLogs(options) {
+  if (options.events === 'stdout') logSink = console.error;
+}
+
+/**
+ * Mask secrets known to the runtime in everything the CLI logs
+ */
+function maskLogsWith(rt) {
+  maskSecrets = text => rt.redact(text);
+}
+
 /**
  * Enforce .ol extension ONLY (CLI only)
  */
@@ -20,7 +55,7 @@ function ensureOlExtension(filename) {
 /**
  * Default mock resolver (for demo use)
  */
-async function defaultMockResolver(action, context) {
+async function defaultMockResolver(action, context, invocation = {}) {
   if (!action || typeof action !== 'string') return `[Unhandled: ${String(action)}]`;
 
   if (action.startsWith('Search for ')) {
@@ -36,18 +71,20 @@ async function defaultMockResolver(action, context) {
   }
 
   if (action.startsWith('Notify ')) {
-    const recipient = action.match(/Notify (\S+)/)?.[1] || 'user@example.com';
+    const recipient = invocation.descriptor?.object || 'user@example.com';
     return `📬 Notification sent to ${recipient}`;
   }
 
   if (action.startsWith('Debrief ') || action.startsWith('Evolve ')) {
-    console.log(`[O-Lang] ${action}`);
+    log(`[O-Lang] ${action}`);
     return 'Acknowledged';
   }
 
   return `[Unhandled: ${action}]`;
 }
 defaultMockResolver.resolverName = 'defaultMockResolver';
+// Answers "using X" actions for the agents the bundled examples name
+defaultMockResolver.aliases = ['PolicySearch', 'SensorReader', 'Notifier'];
 
 /**
  * Built-in Math Resolver
@@ -75,13 +112,13 @@ builtInMathResolver.resolverName = 'builtInMathResolver';
  * Resolver chaining
  */
 function createResolverChain(resolvers, verbose = false) {
-  const wrapped = async (action, context) => {
+  const wrapped = async (action, context, invocation) => {
     for (const resolver of resolvers) {
       try {
-        const result = await resolver(action, context);
+        const result = await resolver(action, context, invocation);
         if (result !== undefined) {
           if (verbose) {
-            console.log(`✅ ${resolver.resolverName} handled "${action}"`);
+            log(`✅ ${resolver.resolverName} handled "${action}"`);
           }
           return result;
         }
@@ -89,7 +126,7 @@ function createResolverChain(resolvers, verbose = false) {
         console.error(`❌ Resolver ${resolver.resolverName} failed:`, err.message);
       }
     }
-    if (verbose) console.log(`⏭️ No resolver handled "${action}"`);
+    if (verbose) log(`⏭️ No resolver handled "${action}"`);
     return undefined;
   };
   wrapped._chain = resolvers;
@@ -107,8 +144,10 @@ function loadSingleResolver(specifier) {
     if (manifest.protocol?.startsWith('http')) {
       const externalResolver = async () => undefined;
       externalResolver.resolverName = manifest.name;
+      externalResolver.aliases = manifest.aliases || [];
+      externalResolver.capabilities = manifest.capabilities || null;
       externalResolver.manifest = manifest;
-      console.log(`🌐 Loaded external resolver: ${manifest.name}`);
+      log(`🌐 Loaded external resolver: ${manifest.name}`);
       return externalResolver;
     }
   }
@@ -129,7 +168,7 @@ function loadSingleResolver(specifier) {
   }
 
   resolver.resolverName ||= pkgName;
-  console.log(`📦 Loaded resolver: ${resolver.resolverName}`);
+  log(`📦 Loaded resolver: ${resolver.resolverName}`);
   return resolver;
 }
 
@@ -151,6 +190,92 @@ function loadResolverChain(specifiers, verbose, allowed) {
   return createResolverChain(resolvers, verbose);
 }
 
+/**
+ * Event sink for --events
+ */
+function createEventSink(target) {
+  if (target === 'stdout') return createNdjsonSink(process.stdout);
+  if (/^https?:\/\//.test(target)) return createWebhookSink(target);
+  throw new Error(`Invalid --events sink "${target}". Use "stdout" or an http(s) URL.`);
+}
+
+/**
+ * Answers for Prompt steps: --answer / --answers, otherwise the terminal
+ */
+function createInputProvider(options) {
+  const answers = {
+    ...(options.answers ? JSON.parse(fs.readFileSync(options.answers, 'utf8')) : {}),
+    ...options.answer
+  };
+  return Object.keys(answers).length
+    ? new AnswersInputProvider(answers)
+    : new ReadlineInputProvider({ output: options.events === 'stdout' ? process.stderr : process.stdout });
+}
+
+/**
+ * Run history for --history [location] (or OLANG_HISTORY); nothing is recorded without it
+ */
+function createHistory(options) {
+  if (!options.history) return null;
+  return createRunHistory(options.history === true ? DEFAULT_HISTORY : options.history);
+}
+
+/**
+ * Audit log for --audit-log (or OLANG_AUDIT_LOG); no file is written without it
+ */
+function createAuditLog(options) {
+  return options.auditLog ? AuditLog.fromEnv(process.env, options.auditLog) : false;
+}
+
+/**
+ * Tracer for --trace (spans are dropped without it)
+ */
+function createTracer(options) {
+  return options.trace ? new Tracer({ exporter: new OtlpJsonFileExporter(options.trace) }) : null;
+}
+
+/**
+ * Print a run's result envelope; failed runs exit 1
+ */
+async function reportRun({ ok, runId, result, errors }, options, eventSink) {
+  if (eventSink) {
+    const failures = await eventSink.flush();
+    failures.forEach(f => console.error(`❌ Failed to deliver event "${f.event}": ${f.error}`));
+  }
+
+  if (options.events === 'stdout') {
+    console.log(JSON.stringify({ type: 'result', ok, result, errors }));
+  } else if (result !== null) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+
+  if (!ok) {
+    errors.forEach(err => console.error(`❌ ${err.message}`));
+    if (options.checkpoints && result === null) {
+      console.error(`↻ Resume with: olang resume ${runId} --checkpoints ${options.checkpoints}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Find a run in the history by id or unique id prefix
+ */
+async function findRun(history, id) {
+  const exact = await history.get(id);
+  if (exact) return exact;
+
+  const ids = [...new Set((await history.list()).map(r => r.runId))].filter(runId => runId.startsWith(id));
+  if (ids.length > 1) throw new Error(`Run id "${id}" is ambiguous (${ids.slice(0, 3).join(', ')}, ...)`);
+  if (!ids.length) throw new Error(`No run "${id}" in ${history.file || 'the history'}`);
+  return history.get(ids[0]);
+}
+
+function formatValue(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
 /**
  * CLI SETUP
  */
@@ -166,17 +291,331 @@ program
     a[k] = isNaN(val) ? val : Number(val);
     return a;
   }, {})
+  .option('-a, --answer <name=value>', 'Answer for a Prompt step (skips the interactive question)', (v, a = {}) => {
+    const [k, ...rest] = v.split('=');
+    a[k] = rest.join('=');
+    return a;
+  }, {})
+  .option('--answers <file>', 'JSON file of answers for Prompt steps')
+  .option('-e, --events <sink>', 'Forward Emit events: "stdout" (newline-delimited JSON) or a webhook URL')
+  .option('--strict', 'Fail on unknown statements, duplicate steps and other parse warnings')
+  .option('--fallback-chain', 'Send actions whose "using" agent has no matching resolver through the whole resolver chain')
+  .option('--on-error <mode>', 'Error mode when the workflow has no "On error:" line: stop, continue or collect', 'stop')
+  .option('--checkpoints <location>', 'Checkpoint after every step to a directory or a .db SQLite file', process.env.OLANG_CHECKPOINTS)
+  .option('--run-id <id>', 'Run id for checkpoints and history (default: a random UUID)')
+  .option('--history [location]', 'Record the run, inputs and outputs included, in a JSONL file or a .db SQLite file (default: logs/runs.jsonl)', process.env.OLANG_HISTORY)
+  .option('--no-history', 'Do not record the run, even with OLANG_HISTORY set')
+  .option('--trace <file>', 'Write workflow, step and resolver spans to a file as OTLP/JSON', process.env.OLANG_TRACE_FILE)
+  .option('--audit-log <file>', 'Append policy decisions to a hash-chained audit log (key: OLANG_AUDIT_KEY)', process.env.OLANG_AUDIT_LOG)
+  .option('-s, --secret <name>', 'Treat an input or saved value as a secret (repeatable)', (v, a) => (a.push(v), a), [])
   .option('-v, --verbose')
   .action(async (file, options) => {
+    routeLogs(options);
     ensureOlExtension(file);
     const workflowSource = fs.readFileSync(file, 'utf8');
-    const workflow = parse(workflowSource, file);
+    const workflow = parse(workflowSource, file, { strict: options.strict });
 
     const allowed = new Set(workflow.allowedResolvers);
     const resolver = loadResolverChain(options.resolver, options.verbose, allowed);
+    const eventSink = options.events ? createEventSink(options.events) : null;
+
+    const rt = new RuntimeAPI({
+      verbose: options.verbose,
+      inputProvider: createInputProvider(options),
+      listeners: eventSink ? { '*': eventSink } : {},
+      fallbackToChain: Boolean(options.fallbackChain),
+      onError: options.onError,
+      checkpointStore: options.checkpoints ? createCheckpointStore(options.checkpoints) : null,
+      history: createHistory(options),
+      tracer: createTracer(options),
+      audit: createAuditLog(options),
+      secrets: options.secret,
+      runId: options.runId,
+      log
+    });
+    maskLogsWith(rt);
+    const envelope = await rt.runWorkflow(workflow, options.input, resolver);
 
-    const result = await execute(workflow, options.input, resolver, options.verbose);
-    console.log(JSON.stringify(result, null, 2));
+    await reportRun(envelope, options, eventSink);
+  });
+
+// === RESUME COMMAND ===
+program
+  .command('resume <runId>')
+  .description('Continue a checkpointed run from its last completed step')
+  .option('-r, --resolver <specifier>', 'Resolver', (v, a) => (a.push(v), a), [])
+  .option('-i, --input <k=v>', 'Input to set again, such as a secret (secrets are not checkpointed)', (v, a = {}) => {
+    const [k, val] = v.split('=');
+    a[k] = isNaN(val) ? val : Number(val);
+    return a;
+  }, {})
+  .option('-a, --answer <name=value>', 'Answer for a Prompt step (skips the interactive question)', (v, a = {}) => {
+    const [k, ...rest] = v.split('=');
+    a[k] = rest.join('=');
+    return a;
+  }, {})
+  .option('--answers <file>', 'JSON file of answers for Prompt steps')
+  .option('-e, --events <sink>', 'Forward Emit events: "stdout" (newline-delimited JSON) or a webhook URL')
+  .option('--checkpoints <location>', 'Directory or .db SQLite file the run was checkpointed to', process.env.OLANG_CHECKPOINTS)
+  .option('--fallback-chain', 'Send actions whose "using" agent has no matching resolver through the whole resolver chain')
+  .option('--history [location]', 'Record the run, inputs and outputs included, in a JSONL file or a .db SQLite file (default: logs/runs.jsonl)', process.env.OLANG_HISTORY)
+  .option('--no-history', 'Do not record the run, even with OLANG_HISTORY set')
+  .option('--trace <file>', 'Write workflow, step and resolver spans to a file as OTLP/JSON', process.env.OLANG_TRACE_FILE)
+  .option('--audit-log <file>', 'Append policy decisions to a hash-chained audit log (key: OLANG_AUDIT_KEY)', process.env.OLANG_AUDIT_LOG)
+  .option('-v, --verbose')
+  .action(async (runId, options) => {
+    routeLogs(options);
+    if (!options.checkpoints) {
+      console.error('❌ Pass --checkpoints <location> (or set OLANG_CHECKPOINTS)');
+      process.exitCode = 2;
+      return;
+    }
+    const checkpointStore = createCheckpointStore(options.checkpoints);
+    const checkpoint = await checkpointStore.load(runId);
+    if (!checkpoint) {
+      console.error(`❌ No checkpoint for run "${runId}" in ${options.checkpoints}`);
+      process.exitCode = 2;
+      return;
+    }
+    if (checkpoint.status === 'completed') {
+      console.error(`❌ Run "${runId}" already completed`);
+      process.exitCode = 2;
+      return;
+    }
+
+    const allowed = new Set(checkpoint.workflow.allowedResolvers);
+    const resolver = loadResolverChain(options.resolver, options.verbose, allowed);
+    const eventSink = options.events ? createEventSink(options.events) : null;
+
+    const rt = new RuntimeAPI({
+      verbose: options.verbose,
+      inputProvider: createInputProvider(options),
+      listeners: eventSink ? { '*': eventSink } : {},
+      fallbackToChain: Boolean(options.fallbackChain),
+      checkpointStore,
+      history: createHistory(options),
+      tracer: createTracer(options),
+      audit: createAuditLog(options),
+      log
+    });
+    maskLogsWith(rt);
+    const envelope = await rt.resume(runId, resolver, { envelope: true, inputs: options.input });
+
+    await reportRun(envelope, options, eventSink);
+  });
+
+// === RUNS COMMAND ===
+const runs = program
+  .command('runs')
+  .description('Inspect the run history');
+
+runs
+  .command('list')
+  .description('List recorded runs, newest first')
+  .option('--history <location>', 'JSONL file or .db SQLite file', DEFAULT_HISTORY)
+  .option('-n, --limit <n>', 'Show at most n runs', '20')
+  .option('--json', 'Print the runs as JSON')
+  .action(async (options) => {
+    const list = await createRunHistory(options.history).list({ limit: parseInt(options.limit, 10) || undefined });
+
+    if (options.json) return console.log(JSON.stringify(list, null, 2));
+    if (!list.length) return console.log('No runs recorded');
+    for (const run of list) {
+      const icon = run.ok ? '✅' : '❌';
+      console.log(`${icon} ${run.runId}  ${run.startedAt}  ${run.durationMs}ms  ${run.workflowName || '(unnamed)'} [${run.status}]`);
+    }
+  });
+
+runs
+  .command('show <runId>')
+  .description('Show what a run saw and returned, step by step')
+  .option('--history <location>', 'JSONL file or .db SQLite file', DEFAULT_HISTORY)
+  .option('--json', 'Print the whole record as JSON')
+  .action(async (runId, options) => {
+    let run;
+    try {
+      run = await findRun(createRunHistory(options.history), runId);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 2;
+      return;
+    }
+
+    if (options.json) return console.log(JSON.stringify(run, null, 2));
+
+    console.log(`Run ${run.runId} ${run.ok ? '✅' : '❌'} ${run.status}`);
+    console.log(`Workflow: ${run.workflowName || '(unnamed)'} (${run.workflowHash.slice(0, 12)})`);
+    console.log(`Started:  ${run.startedAt} (${run.durationMs}ms)${run.resumedFrom ? `, resumed at step index ${run.resumedFrom}` : ''}`);
+    console.log(`Inputs:   ${formatValue(run.inputs)}`);
+    console.log('\nSteps:');
+    for (const step of run.steps) {
+      const outcome = step.status === 'ok'
+        ? (step.saveAs ? `${step.saveAs} = ${formatValue(step.output)}` : 'ok')
+        : `${step.status}: ${step.error}`;
+      console.log(`  Step ${step.stepNumber} (${step.type}, line ${step.line ?? '?'}, ${step.durationMs}ms): ${outcome}`);
+    }
+    if (run.policyBlocks.length) {
+      console.log('\nPolicy blocks:');
+      run.policyBlocks.forEach(b => console.log(`  ${b.resolver}${b.capability ? ` (${b.capability})` : ''}: ${b.step}`));
+    }
+    if (run.warnings.length) {
+      console.log('\nWarnings:');
+      run.warnings.forEach(w => console.log(`  ${w.message}`));
+    }
+    if (run.errors.length) {
+      console.log('\nErrors:');
+      run.errors.forEach(e => console.log(`  ${e.name}: ${e.message}`));
+    }
+    console.log(`\nResult: ${JSON.stringify(run.result, null, 2)}`);
+  });
+
+runs
+  .command('diff <a> <b>')
+  .description('Compare two runs: inputs, step outputs, result, warnings and policy blocks')
+  .option('--history <location>', 'JSONL file or .db SQLite file', DEFAULT_HISTORY)
+  .option('--json', 'Print the differences as JSON')
+  .action(async (a, b, options) => {
+    const history = createRunHistory(options.history);
+    let runA, runB;
+    try {
+      [runA, runB] = [await findRun(history, a), await findRun(history, b)];
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 2;
+      return;
+    }
+
+    const changes = diffRuns(runA, runB);
+    if (options.json) {
+      console.log(JSON.stringify(changes, null, 2));
+    } else if (!changes.length) {
+      console.log('✅ No differences');
+    } else {
+      for (const change of changes) {
+        console.log(change.path);
+        console.log(`  - ${formatValue(change.before)}`);
+        console.log(`  + ${formatValue(change.after)}`);
+      }
+    }
+    // Like diff(1): 1 when the runs differ
+    process.exitCode = changes.length ? 1 : 0;
+  });
+
+// === AUDIT COMMAND ===
+const audit = program
+  .command('audit')
+  .description('Work with the policy decision audit log');
+
+audit
+  .command('verify')
+  .description('Check that no audit record was edited or deleted')
+  .option('--file <path>', 'Audit log (default: OLANG_AUDIT_LOG or logs/audit.jsonl)')
+  .option('--json', 'Print the report as JSON')
+  .action((options) => {
+    // OLANG_AUDIT_KEY must match the key the log was written with
+    const log = AuditLog.fromEnv(process.env, options.file || process.env.OLANG_AUDIT_LOG || 'logs/audit.jsonl');
+    const report = log.verify();
+
+    if (options.json) {
+      console.log(JSON.stringify({ file: log.file, ...report }, null, 2));
+    } else {
+      report.problems.forEach(p => console.error(`❌ ${p.message}`));
+      const icon = report.ok ? '✅' : '❌';
+      console.log(`${icon} ${log.file}: ${report.entries} record(s), ${report.problems.length} problem(s)`);
+    }
+    process.exitCode = report.ok ? 0 : 1;
+  });
+
+// === CHECK COMMAND ===
+program
+  .command('check <files...>')
+  .description('Statically check workflows without running them')
+  .option('--json', 'Print diagnostics as JSON')
+  .option('--strict', 'Treat unknown statements, duplicate steps and orphan Save as lines as errors')
+  .option('--fail-on-warnings', 'Exit non-zero on warnings too')
+  .action((files, options) => {
+    const reports = [];
+    let exitCode = 0;
+
+    for (const file of files) {
+      let diagnostics;
+      try {
+        ensureOlExtension(file);
+        const workflow = parse(fs.readFileSync(file, 'utf8'), file, {
+          strict: options.strict,
+          throwOnError: false
+        });
+        diagnostics = [...workflow.__diagnostics, ...validate(workflow)];
+      } catch (err) {
+        reports.push({ file, error: err.message, diagnostics: [] });
+        exitCode = 2;
+        continue;
+      }
+
+      const errors = diagnostics.filter(d => d.severity === 'error').length;
+      const warnings = diagnostics.length - errors;
+      if (errors || (options.failOnWarnings && warnings)) exitCode = Math.max(exitCode, 1);
+      reports.push({ file, errors, warnings, diagnostics });
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(reports, null, 2));
+    } else {
+      for (const report of reports) {
+        if (report.error) {
+          console.error(`❌ ${report.file}: ${report.error}`);
+          continue;
+        }
+        for (const d of report.diagnostics) {
+          const where = d.line ? `${report.file}:${d.line}:${d.column || 1}` : report.file;
+          const hint = d.suggestion ? `\n    ↳ ${d.suggestion}` : '';
+          console.log(`${where} ${d.severity} [${d.code}] ${d.message}${hint}`);
+        }
+        const icon = report.errors ? '❌' : report.warnings ? '⚠️' : '✅';
+        console.log(`${icon} ${report.file}: ${report.errors} error(s), ${report.warnings} warning(s)`);
+      }
+    }
+
+    process.exitCode = exitCode;
+  });
+
+// === FMT COMMAND ===
+program
+  .command('fmt <files...>')
+  .description('Format workflows in the canonical layout (prints to stdout by default)')
+  .option('--check', 'Exit non-zero if any file is not formatted')
+  .option('--write', 'Rewrite files in place')
+  .action((files, options) => {
+    let exitCode = 0;
+
+    for (const file of files) {
+      let source, formatted;
+      try {
+        ensureOlExtension(file);
+        source = fs.readFileSync(file, 'utf8');
+        formatted = format(source, file);
+      } catch (err) {
+        console.error(`❌ ${file}: ${err.message}`);
+        exitCode = 2;
+        continue;
+      }
+
+      if (options.check) {
+        if (formatted !== source) {
+          console.log(`⚠️ ${file} is not formatted`);
+          exitCode = Math.max(exitCode, 1);
+        }
+      } else if (options.write) {
+        if (formatted !== source) {
+          fs.writeFileSync(file, formatted);
+          console.log(`✅ Formatted ${file}`);
+        }
+      } else {
+        process.stdout.write(formatted);
+      }
+    }
+
+    process.exitCode = exitCode;
   });
 
 // === SERVER COMMAND (✅ PROPER INTEGRATION) ===
@@ -185,8 +624,66 @@ program
   .description('Start O-lang kernel in HTTP server mode')
   .option('-p, --port <port>', 'Server port', process.env.OLANG_SERVER_PORT || '3000')
   .option('-h, --host <host>', 'Server host', '0.0.0.0')
+  .option('--history [location]', 'Record runs, inputs and outputs included, in a JSONL file or a .db SQLite file (default: logs/runs.jsonl)', process.env.OLANG_HISTORY)
+  .option('--no-history', 'Do not record runs, even with OLANG_HISTORY set')
+  .option('--audit-log <file>', 'Append policy decisions to a hash-chained audit log (key: OLANG_AUDIT_KEY)', process.env.OLANG_AUDIT_LOG)
+  .option('--prompt-ttl <seconds>', 'Fail a run that waits longer than this for an answer', process.env.OLANG_PROMPT_TTL || '3600')
+  .option('--max-suspended <n>', 'Fail the oldest suspended run beyond this many', '100')
   .action(async (options) => {
     const fastify = require('fastify')({ logger: false });
+    const history = createHistory(options);
+    const auditLog = createAuditLog(options);
+    const promptTtlMs = (parseInt(options.promptTtl, 10) || 3600) * 1000;
+    const maxSuspended = parseInt(options.maxSuspended, 10) || 100;
+
+    // Runs waiting on a prompt, least recently suspended first
+    const suspendedRuns = new Map();
+
+    const forgetRun = (runId) => {
+      const run = suspendedRuns.get(runId);
+      if (!run) return null;
+      clearTimeout(run.timer);
+      suspendedRuns.delete(runId);
+      return run;
+    };
+
+    // An evicted run fails its prompt, so it ends (and is recorded) instead of
+    // waiting forever
+    const evictRun = (runId, reason) => {
+      const run = forgetRun(runId);
+      if (run) run.inputProvider.cancel(new Error(`[O-Lang] Run "${runId}" ${reason}`));
+    };
+
+    const suspendRun = (runId, run) => {
+      forgetRun(runId);
+      suspendedRuns.set(runId, run);
+      run.timer = setTimeout(() => evictRun(runId, 'expired waiting for input'), promptTtlMs);
+      run.timer.unref();
+      if (suspendedRuns.size > maxSuspended) {
+        const [oldest] = suspendedRuns.keys();
+        evictRun(oldest, 'was evicted: too many suspended runs');
+      }
+    };
+
+    // Reply with the result envelope once the run finishes (422 when it failed),
+    // or 202 with the prompt it is waiting on
+    const sendRunState = async (reply, runId, run) => {
+      try {
+        const state = await Promise.race([
+          run.done.then(envelope => ({ status: 'completed', envelope })),
+          run.inputProvider.nextPrompt().then(prompt => ({ status: 'awaiting_input', prompt }))
+        ]);
+
+        if (state.status === 'completed') {
+          return reply.status(state.envelope.ok ? 200 : 422).send(state.envelope);
+        }
+        suspendRun(runId, run);
+        return reply.status(202).send({ status: 'awaiting_input', runId, prompt: state.prompt });
+      } catch (err) {
+        evictRun(runId, 'failed');
+        return reply.status(500).send({ error: err.message });
+      }
+    };
 
     fastify.get('/health', () => ({
       status: 'healthy',
@@ -196,7 +693,14 @@ program
 
     fastify.post('/execute-workflow', async (req, reply) => {
       try {
-        const { workflowSource, inputs = {}, resolvers = [], verbose = false } = req.body;
+        const {
+          workflowSource,
+          inputs = {},
+          resolvers = [],
+          verbose = false,
+          fallbackToChain = false,
+          onError = 'stop'
+        } = req.body;
 
         if (typeof workflowSource !== 'string') {
           return reply.status(400).send({ error: 'workflowSource must be a string' });
@@ -206,13 +710,52 @@ program
         const allowed = new Set(workflow.allowedResolvers);
         const resolver = loadResolverChain(resolvers, verbose, allowed);
 
-        const result = await execute(workflow, inputs, resolver, verbose);
-        reply.send(result);
+        // Prompt steps suspend the run; answers arrive via /runs/:runId/answer
+        const runId = crypto.randomUUID();
+        const inputProvider = new SuspendableInputProvider();
+        const run = {
+          inputProvider,
+          done: execute(workflow, inputs, resolver, {
+            verbose,
+            inputProvider,
+            fallbackToChain,
+            onError,
+            history,
+            audit: auditLog,
+            runId,
+            envelope: true
+          })
+        };
+        // Once the run ends, drop it and any nextPrompt() waiter still attached
+        const finished = () => {
+          forgetRun(runId);
+          inputProvider.cancel(new Error(`[O-Lang] Run "${runId}" has finished`));
+        };
+        run.done.then(finished, finished);
+
+        await sendRunState(reply, runId, run);
       } catch (err) {
         reply.status(500).send({ error: err.message });
       }
     });
 
+    fastify.post('/runs/:runId/answer', async (req, reply) => {
+      const run = suspendedRuns.get(req.params.runId);
+      if (!run) {
+        return reply.status(404).send({ error: `No suspended run "${req.params.runId}"` });
+      }
+
+      try {
+        const { promptId, answer } = req.body || {};
+        const [waiting] = run.inputProvider.getPending();
+        run.inputProvider.resume(promptId || waiting?.id, answer);
+        clearTimeout(run.timer);
+        await sendRunState(reply, req.params.runId, run);
+      } catch (err) {
+        reply.status(400).send({ error: err.message });
+      }
+    });
+
     const PORT = parseInt(options.port, 10);
     const HOST = options.host;
 
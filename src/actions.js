@@ -0,0 +1,80 @@
+/**
+ * Structured view of an action line, so resolvers don't have to pick the
+ * text apart with their own regexes.
+ *
+ *   Notify {user_id} using Notifier with "Hi {name}"
+ *   -> { verb: 'Notify', object: '{user_id}', agent: 'Notifier',
+ *        with: ['Hi {name}'], strings: ['Hi {name}'], vars: ['user_id', 'name'] }
+ *
+ * - verb:    the first word
+ * - object:  what follows the verb, without quoted strings and without a
+ *            leading or trailing preposition ("Search for {q}" -> "{q}",
+ *            "Ask Summarizer to "..."" -> "Summarizer"); null when empty
+ * - agent:   the `using` agent, or null
+ * - with:    one entry per `with` clause; a clause that is a single quoted
+ *            string is unquoted
+ * - strings: every quoted string in the line, unquoted, in order
+ * - vars:    every {path} referenced in the line, once each, in order
+ *
+ * `using` and `with` only start a clause outside quotes and braces.
+ */
+
+const PREPOSITIONS = ['to', 'for', 'about', 'on', 'from', 'in', 'into', 'at', 'of'];
+const CLAUSE_START = /^(using|with)\s+/i;
+
+function parseAction(text) {
+  const source = String(text).trim();
+  const [head, ...clauses] = splitClauses(source);
+
+  const verb = head.match(/^[A-Za-z_][\w-]*/)?.[0] || null;
+  const object = trimPrepositions(
+    head.slice(verb ? verb.length : 0).replace(/"[^"]*"/g, ' ').replace(/\s+/g, ' ').trim()
+  );
+
+  const using = clauses.find(c => c.keyword === 'using');
+  const agent = using ? using.text.match(/^"?([A-Za-z_][\w-]*)"?/)?.[1] || null : null;
+
+  const withClauses = clauses
+    .filter(c => c.keyword === 'with')
+    .map(c => c.text.match(/^"([^"]*)"$/)?.[1] ?? c.text);
+
+  const strings = [...source.matchAll(/"([^"]*)"/g)].map(m => m[1]);
+  const vars = [...new Set([...source.matchAll(/\{([^{}]+)\}/g)].map(m => m[1].trim()))];
+
+  return { verb, object: object || null, agent, with: withClauses, strings, vars };
+}
+
+// Splits "head using X with Y" into [head, { keyword, text }, ...]
+function splitClauses(source) {
+  const parts = [{ keyword: null, text: '' }];
+  let quote = false;
+  let depth = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (!quote && depth === 0 && i > 0 && /\s/.test(source[i - 1])) {
+      const clause = source.slice(i).match(CLAUSE_START);
+      if (clause) {
+        parts.push({ keyword: clause[1].toLowerCase(), text: '' });
+        i += clause[0].length - 1;
+        continue;
+      }
+    }
+    if (ch === '"') quote = !quote;
+    else if (!quote && ch === '{') depth++;
+    else if (!quote && ch === '}') depth = Math.max(0, depth - 1);
+    parts[parts.length - 1].text += ch;
+  }
+
+  const [head, ...clauses] = parts.map(p => ({ ...p, text: p.text.trim() }));
+  return [head.text, ...clauses];
+}
+
+function trimPrepositions(text) {
+  const words = text.split(' ').filter(Boolean);
+  if (words.length > 1 && PREPOSITIONS.includes(words[0].toLowerCase())) words.shift();
+  if (words.length > 1 && PREPOSITIONS.includes(words[words.length - 1].toLowerCase())) words.pop();
+  return words.join(' ');
+}
+
+module.exports = { parseAction };
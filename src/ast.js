@@ -0,0 +1,224 @@
+/**
+ * Versioned workflow AST: the JSON Schema in ast.schema.json, a checker
+ * for it and migrations from older AST versions.
+ *
+ * Version history:
+ *   0  unversioned ASTs from before astVersion existed. Steps could be
+ *      { type: 'use', tool }, { type: 'ask', target } or calculate steps
+ *      carrying the expression in actionRaw; If nodes had no elseBody and
+ *      their body held the source lines as strings.
+ *   1  the current shape (see ast.schema.json).
+ */
+
+const AST_SCHEMA = require('./ast.schema.json');
+
+const AST_VERSION = 1;
+
+// -----------------------------
+// Schema checking
+// -----------------------------
+/**
+ * Checks a workflow AST against ast.schema.json. Returns a list of
+ * { path, message } problems; empty when the AST is valid.
+ */
+function validateAst(ast) {
+  const problems = [];
+  check(ast, AST_SCHEMA, '$', problems);
+  return problems;
+}
+
+// Interprets the subset of JSON Schema used by ast.schema.json
+function check(value, schema, at, problems) {
+  if (schema.$ref) {
+    return check(value, resolveRef(schema.$ref), at, problems);
+  }
+
+  const before = problems.length;
+  const fail = message => problems.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${describe(value)}`);
+      return false;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    fail(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, problems));
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        check(item, properties[key], `${at}.${key}`, problems);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, `${at}.${key}`, problems);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    if (sub.if && !check(value, sub.if, at, [])) continue;
+    check(value, sub.then || sub, at, problems);
+  }
+
+  return problems.length === before;
+}
+
+function resolveRef(ref) {
+  const match = ref.match(/^#\/definitions\/(.+)$/);
+  if (!match || !AST_SCHEMA.definitions[match[1]]) {
+    throw new Error(`[O-Lang] Unknown schema reference: ${ref}`);
+  }
+  return AST_SCHEMA.definitions[match[1]];
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// -----------------------------
+// Migrations
+// -----------------------------
+// MIGRATIONS[n] upgrades an AST from version n to n + 1, in place on a copy
+const MIGRATIONS = {
+  0: ast => {
+    ast.name = ast.name === undefined ? null : ast.name;
+    ast.parameters = ast.parameters || [];
+    ast.returnValues = ast.returnValues || [];
+    ast.allowedResolvers = ast.allowedResolvers || [];
+    ast.maxGenerations = ast.maxGenerations === undefined ? null : ast.maxGenerations;
+    ast.steps = migrateStepsV0(ast.steps || []);
+  }
+};
+
+function migrateStepsV0(steps) {
+  return steps.map((step, i) => {
+    let node = { ...step };
+    if (node.type === 'use') {
+      node = legacyAction(node, `Use ${node.tool}`);
+    } else if (node.type === 'ask') {
+      node = legacyAction(node, `Ask ${node.target}`);
+    } else if (node.type === 'calculate' && !node.expression) {
+      node.expression = node.actionRaw;
+      delete node.actionRaw;
+    }
+
+    if (node.stepNumber === undefined) node.stepNumber = i + 1;
+    if (node.type === 'action' || node.type === 'calculate' || node.type === 'evolve') {
+      if (node.saveAs === undefined) node.saveAs = null;
+      if (node.constraints === undefined) node.constraints = {};
+    }
+    if (node.type === 'if') {
+      node.body = migrateStepsV0(legacyBody(node.body || []));
+      node.elseBody = migrateStepsV0(node.elseBody || []);
+    }
+    if (node.type === 'parallel') {
+      node.steps = migrateStepsV0(node.steps || []);
+    }
+    return node;
+  });
+}
+
+// The v0 parser kept the lines of an If body as raw strings ("Notify {x}",
+// "Save as y", "Ask HR Save as z"); turn them into action steps the way the
+// parser does: a Save as line names the previous action, a trailing
+// "Save as x" on the action line names that action
+function legacyBody(body) {
+  const steps = [];
+  for (const item of body) {
+    if (typeof item !== 'string') {
+      steps.push(item);
+      continue;
+    }
+    const line = item.trim();
+    const saveMatch = line.match(/^Save as\s+(.+)$/i);
+    const previous = steps[steps.length - 1];
+    if (saveMatch && previous && previous.type === 'action' && previous.saveAs === null) {
+      previous.saveAs = saveMatch[1].trim();
+      continue;
+    }
+    if (line === '' || saveMatch) continue;
+
+    const saveInAction = line.match(/(.+?)\s+Save as\s+(.+)$/i);
+    steps.push({
+      type: 'action',
+      stepNumber: steps.length + 1,
+      line: null,
+      actionRaw: saveInAction ? saveInAction[1].trim() : line,
+      saveAs: saveInAction ? saveInAction[2].trim() : null,
+      constraints: {}
+    });
+  }
+  return steps;
+}
+
+// use/ask steps were always sent to the resolvers as "Use <tool>" / "Ask <target>"
+function legacyAction(step, actionRaw) {
+  return {
+    type: 'action',
+    stepNumber: step.stepNumber,
+    line: step.line === undefined ? null : step.line,
+    actionRaw,
+    saveAs: step.saveAs === undefined ? null : step.saveAs,
+    constraints: step.constraints || {}
+  };
+}
+
+/**
+ * Returns a copy of `ast` upgraded to `targetVersion` (default: current).
+ * ASTs without astVersion are treated as version 0. Downgrades are not supported.
+ */
+function migrateAst(ast, targetVersion = AST_VERSION) {
+  const from = ast.astVersion === undefined ? 0 : ast.astVersion;
+  if (!Number.isInteger(from) || from > targetVersion || targetVersion > AST_VERSION) {
+    throw new Error(`[O-Lang] Cannot migrate AST from version ${from} to ${targetVersion}`);
+  }
+
+  const migrated = structuredClone(ast);
+  for (let version = from; version < targetVersion; version++) {
+    MIGRATIONS[version](migrated);
+    migrated.astVersion = version + 1;
+  }
+  return migrated;
+}
+
+module.exports = { AST_VERSION, AST_SCHEMA, validateAst, migrateAst };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Tamper-evident log of policy decisions: resolver invocations (allowed and
+ * blocked), constraint checks and evolve requests.
+ *
+ * Each line of the log is one JSON record:
+ *   { seq, timestamp, event, decision, runId, workflow, ...details, prevHash, hash }
+ * where `hash` is the SHA-256 of `prevHash` and the record without its hash,
+ * so editing a record breaks its own hash and deleting one breaks the link
+ * to the next. A small `<file>.head` file remembers the first and last
+ * record, which catches truncation and lets retention drop old records
+ * without breaking verification.
+ *
+ * Without a key the hashes are plain SHA-256, which anyone who can edit the
+ * file can recompute: the chain then only detects accidental corruption.
+ * With a key (OLANG_AUDIT_KEY) they are HMAC-SHA256, so edits cannot be
+ * hidden without the key.
+ */
+
+const GENESIS = '0'.repeat(64);
+
+class AuditLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file='./logs/audit.jsonl']
+   * @param {number} [options.retentionDays] - drop records older than this when the log is opened
+   * @param {number} [options.maxEntries] - keep at most this many records when the log is opened
+   * @param {string} [options.key] - HMAC key; verify() needs the same key
+   */
+  constructor({ file = './logs/audit.jsonl', retentionDays = null, maxEntries = null, key = null } = {}) {
+    this.file = path.resolve(file);
+    this.headFile = `${this.file}.head`;
+    this.key = key || null;
+    this.retentionDays = retentionDays;
+    this.maxEntries = maxEntries;
+    if (retentionDays || maxEntries) this.applyRetention();
+  }
+
+  /**
+   * Location, key and retention from OLANG_AUDIT_LOG, OLANG_AUDIT_KEY,
+   * OLANG_AUDIT_RETENTION_DAYS and OLANG_AUDIT_MAX_ENTRIES. The log is opt-in:
+   * without OLANG_AUDIT_LOG (or `file`) this returns null.
+   */
+  static fromEnv(env = process.env, file = env.OLANG_AUDIT_LOG) {
+    if (!file) return null;
+    return new AuditLog({
+      file,
+      key: env.OLANG_AUDIT_KEY || null,
+      retentionDays: Number(env.OLANG_AUDIT_RETENTION_DAYS) || null,
+      maxEntries: Number(env.OLANG_AUDIT_MAX_ENTRIES) || null
+    });
+  }
+
+  /**
+   * Append a decision, chained to the previous record.
+   * @param {object} decision - { event, decision, ...details }
+   * @returns {object} the stored record
+   */
+  record(decision) {
+    const head = this.readHead();
+    const last = head ? head.last : { seq: 0, hash: GENESIS };
+
+    const entry = { seq: last.seq + 1, timestamp: new Date().toISOString(), ...decision, prevHash: last.hash };
+    entry.hash = hashRecord(entry, this.key);
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', 'utf8');
+    this.writeHead({
+      first: head ? head.first : { seq: entry.seq, prevHash: entry.prevHash },
+      last: { seq: entry.seq, hash: entry.hash },
+      keyed: head ? Boolean(head.keyed) : Boolean(this.key)
+    });
+    return entry;
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return { unparsable: line, lineNumber: i + 1 };
+        }
+      });
+  }
+
+  // The head file, or the log's own first/last record when it is missing
+  readHead() {
+    if (fs.existsSync(this.headFile)) return JSON.parse(fs.readFileSync(this.headFile, 'utf8'));
+
+    const entries = this.readEntries().filter(e => !e.unparsable);
+    if (!entries.length) return null;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    return { first: { seq: first.seq, prevHash: first.prevHash }, last: { seq: last.seq, hash: last.hash }, keyed: Boolean(this.key) };
+  }
+
+  writeHead(head) {
+    fs.writeFileSync(this.headFile, JSON.stringify(head) + '\n', 'utf8');
+  }
+
+  /**
+   * Drops records past the retention limits. The chain stays verifiable:
+   * the head file moves its start to the first record that is kept.
+   */
+  applyRetention() {
+    const entries = this.readEntries();
+    if (!entries.length || entries.some(e => e.unparsable)) return;
+
+    const cutoff = this.retentionDays ? Date.now() - this.retentionDays * 86400000 : null;
+    let kept = cutoff ? entries.filter(e => Date.parse(e.timestamp) >= cutoff) : entries;
+    if (this.maxEntries && kept.length > this.maxEntries) kept = kept.slice(-this.maxEntries);
+    if (kept.length === entries.length) return;
+
+    const head = this.readHead();
+    fs.writeFileSync(this.file, kept.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    this.writeHead({
+      first: kept.length ? { seq: kept[0].seq, prevHash: kept[0].prevHash } : { seq: head.last.seq + 1, prevHash: head.last.hash },
+      last: head.last,
+      keyed: Boolean(head.keyed)
+    });
+  }
+
+  /**
+   * Checks every hash and link, and the log's ends against the head file.
+   * @returns {{ ok: boolean, entries: number, problems: { seq: number|null, message: string }[] }}
+   */
+  verify() {
+    const entries = this.readEntries();
+    const problems = [];
+    const problem = (seq, message) => problems.push({ seq, message });
+
+    const head = fs.existsSync(this.headFile) ? JSON.parse(fs.readFileSync(this.headFile, 'utf8')) : null;
+    if (!head && entries.length) problem(null, `Head file ${this.headFile} is missing; truncation cannot be detected`);
+    if (head && head.keyed && !this.key) problem(null, 'The log is keyed; verify it with the same OLANG_AUDIT_KEY');
+    if (head && !head.keyed && this.key) problem(null, 'The log was written without a key, but a key was given');
+
+    let expected = head ? head.first : { seq: 1, prevHash: GENESIS };
+    for (const entry of entries) {
+      if (entry.unparsable) {
+        problem(null, `Line ${entry.lineNumber} is not valid JSON`);
+        expected = null;
+        continue;
+      }
+      if (hashRecord(entry, this.key) !== entry.hash) {
+        problem(entry.seq, `Record ${entry.seq} was modified (hash mismatch)`);
+      }
+      if (expected && entry.seq !== expected.seq) {
+        problem(entry.seq, `Expected record ${expected.seq}, found ${entry.seq} (records deleted or reordered)`);
+      } else if (expected && entry.prevHash !== expected.prevHash) {
+        problem(entry.seq, `Record ${entry.seq} does not link to the previous record`);
+      }
+      expected = { seq: entry.seq + 1, prevHash: entry.hash };
+    }
+
+    if (head && expected && (expected.seq - 1 !== head.last.seq || expected.prevHash !== head.last.hash)) {
+      problem(head.last.seq, `Log ends before record ${head.last.seq} (records deleted from the end)`);
+    }
+
+    return { ok: problems.length === 0, entries: entries.length, problems };
+  }
+}
+
+function hashRecord(entry, key = null) {
+  const { hash, ...rest } = entry;
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(JSON.stringify(rest)).digest('hex');
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,55 @@
+/**
+ * Abstract store for run checkpoints. The runtime saves one checkpoint per
+ * run after every top-level step and loads it again for `resume()`.
+ *
+ * A checkpoint is plain JSON:
+ *   { runId, workflowName, status, pc, workflow, inputs, state, error,
+ *     createdAt, updatedAt }
+ * where `pc` is the index of the next top-level step to run and `state`
+ * holds the runtime state the remaining steps need (context, bindings,
+ * debriefs, collected errors and the On error mode).
+ */
+class CheckpointStore {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Create or replace the checkpoint for `checkpoint.runId`.
+   * @param {object} checkpoint
+   */
+  async save(checkpoint) {
+    throw new Error('Checkpoint store cannot save checkpoints');
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<object|null>} the checkpoint, or null when there is none
+   */
+  async load(runId) {
+    throw new Error('Checkpoint store cannot load checkpoints');
+  }
+
+  /**
+   * @returns {Promise<object[]>} { runId, workflowName, status, pc, updatedAt } per run, newest first
+   */
+  async list() {
+    throw new Error('Checkpoint store cannot list checkpoints');
+  }
+
+  /**
+   * @param {string} runId
+   */
+  async remove(runId) {
+    throw new Error('Checkpoint store cannot remove checkpoints');
+  }
+
+  // Run ids become file names and keys, so keep them to a safe alphabet
+  static assertRunId(runId) {
+    if (typeof runId !== 'string' || !/^[\w-]+$/.test(runId)) {
+      throw new Error(`[O-Lang] Invalid run id "${runId}" (use letters, digits, "_" and "-")`);
+    }
+  }
+}
+
+module.exports = CheckpointStore;
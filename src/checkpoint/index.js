@@ -0,0 +1,19 @@
+const CheckpointStore = require('./CheckpointStore');
+const FileCheckpointStore = require('./stores/file');
+const SqliteCheckpointStore = require('./stores/sqlite');
+
+/**
+ * Checkpoint store for a location: a .db / .sqlite / .sqlite3 file uses
+ * SQLite, anything else is a directory of JSON files.
+ */
+function createCheckpointStore(location) {
+  if (/\.(?:db|sqlite3?)$/i.test(location)) return new SqliteCheckpointStore(location);
+  return new FileCheckpointStore(location);
+}
+
+module.exports = {
+  CheckpointStore,
+  FileCheckpointStore,
+  SqliteCheckpointStore,
+  createCheckpointStore
+};
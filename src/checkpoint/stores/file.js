@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const CheckpointStore = require('../CheckpointStore');
+
+/**
+ * Keeps each checkpoint as <dir>/<runId>.json. Writes go to a temporary
+ * file that is renamed into place, so a crash mid-write leaves the previous
+ * checkpoint intact.
+ */
+class FileCheckpointStore extends CheckpointStore {
+  constructor(dir = './checkpoints', options = {}) {
+    super(options);
+    this.dir = path.resolve(dir);
+  }
+
+  fileFor(runId) {
+    CheckpointStore.assertRunId(runId);
+    return path.join(this.dir, `${runId}.json`);
+  }
+
+  async save(checkpoint) {
+    const file = this.fileFor(checkpoint.runId);
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  async load(runId) {
+    const file = this.fileFor(runId);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  async list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8')))
+      .map(({ runId, workflowName, status, pc, updatedAt }) => ({ runId, workflowName, status, pc, updatedAt }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async remove(runId) {
+    fs.rmSync(this.fileFor(runId), { force: true });
+  }
+}
+
+module.exports = FileCheckpointStore;
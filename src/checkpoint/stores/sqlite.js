@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const CheckpointStore = require('../CheckpointStore');
+
+/**
+ * Keeps checkpoints in a SQLite database (table olang_checkpoints), one row
+ * per run. Needs the optional `better-sqlite3` package, like sqlite persistence.
+ */
+class SqliteCheckpointStore extends CheckpointStore {
+  constructor(file = './olang-checkpoints.db', options = {}) {
+    super(options);
+    const Database = require('better-sqlite3');
+    const dbDir = path.dirname(path.resolve(file));
+    if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
+
+    this.db = new Database(file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS olang_checkpoints (
+        run_id TEXT PRIMARY KEY,
+        workflow_name TEXT,
+        status TEXT NOT NULL,
+        pc INTEGER NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      )
+    `);
+  }
+
+  async save(checkpoint) {
+    CheckpointStore.assertRunId(checkpoint.runId);
+    this.db.prepare(`
+      INSERT INTO olang_checkpoints (run_id, workflow_name, status, pc, updated_at, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(run_id) DO UPDATE SET
+        workflow_name = excluded.workflow_name,
+        status = excluded.status,
+        pc = excluded.pc,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run(
+      checkpoint.runId,
+      checkpoint.workflowName,
+      checkpoint.status,
+      checkpoint.pc,
+      checkpoint.updatedAt,
+      JSON.stringify(checkpoint)
+    );
+  }
+
+  async load(runId) {
+    CheckpointStore.assertRunId(runId);
+    const row = this.db.prepare('SELECT data FROM olang_checkpoints WHERE run_id = ?').get(runId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list() {
+    return this.db.prepare(`
+      SELECT run_id AS runId, workflow_name AS workflowName, status, pc, updated_at AS updatedAt
+      FROM olang_checkpoints ORDER BY updated_at DESC
+    `).all();
+  }
+
+  async remove(runId) {
+    CheckpointStore.assertRunId(runId);
+    this.db.prepare('DELETE FROM olang_checkpoints WHERE run_id = ?').run(runId);
+  }
+}
+
+module.exports = SqliteCheckpointStore;
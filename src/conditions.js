@@ -0,0 +1,389 @@
+/**
+ * Condition language used by If / Else If.
+ *
+ *   condition  := or
+ *   or         := and ("or" and)*
+ *   and        := unary ("and" unary)*
+ *   unary      := "not" unary | "(" condition ")" | comparison
+ *   comparison := operand [operator [operand]]
+ *   operand    := {path} | bare.path | "string" | number | true | false | null | [operand, ...]
+ *
+ * Bare paths are only accepted on the left of an operator ("If approved",
+ * "If status equals ..."); on the right, "equals APPROVED" is ambiguous, so
+ * it is an error asking for "APPROVED" or {APPROVED}.
+ *
+ * Operators are English phrases ("equals", "is at least", "starts with",
+ * "is one of", ...) or the symbols = == != > < >= <=. A lone operand is
+ * tested for truthiness.
+ */
+
+class ConditionSyntaxError extends Error {
+  constructor(message, source, position) {
+    super(`${message} at position ${position} in condition: ${source}`);
+    this.name = 'ConditionSyntaxError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+// Longest phrases first so "is not one of" wins over "is not" and "is"
+const OPERATORS = [
+  [['is', 'not', 'equal', 'to'], 'ne'],
+  [['is', 'not', 'one', 'of'], 'not_in'],
+  [['is', 'greater', 'than'], 'gt'],
+  [['does', 'not', 'contain'], 'not_contains'],
+  [['is', 'not', 'empty'], 'not_empty'],
+  [['does', 'not', 'equal'], 'ne'],
+  [['is', 'equal', 'to'], 'eq'],
+  [['is', 'less', 'than'], 'lt'],
+  [['is', 'at', 'least'], 'gte'],
+  [['is', 'at', 'most'], 'lte'],
+  [['is', 'one', 'of'], 'in'],
+  [['not', 'equals'], 'ne'],
+  [['greater', 'than'], 'gt'],
+  [['less', 'than'], 'lt'],
+  [['at', 'least'], 'gte'],
+  [['at', 'most'], 'lte'],
+  [['starts', 'with'], 'starts_with'],
+  [['ends', 'with'], 'ends_with'],
+  [['is', 'empty'], 'empty'],
+  [['is', 'not'], 'ne'],
+  [['equals'], 'eq'],
+  [['contains'], 'contains'],
+  [['is'], 'eq']
+];
+
+const SYMBOL_OPERATORS = {
+  '=': 'eq',
+  '==': 'eq',
+  '!=': 'ne',
+  '>': 'gt',
+  '<': 'lt',
+  '>=': 'gte',
+  '<=': 'lte'
+};
+
+const UNARY_OPERATORS = new Set(['empty', 'not_empty']);
+const KEYWORDS = new Set(['and', 'or', 'not']);
+const LITERAL_WORDS = { true: true, false: false, null: null };
+
+// -----------------------------
+// Tokenizer
+// -----------------------------
+function tokenizeCondition(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (ch === '{') {
+      const close = source.indexOf('}', i);
+      if (close === -1) throw new ConditionSyntaxError('Unclosed "{"', source, start);
+      const path = source.slice(i + 1, close).trim();
+      if (!path) throw new ConditionSyntaxError('Empty reference "{}"', source, start);
+      tokens.push({ type: 'ref', value: path, position: start });
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new ConditionSyntaxError('Unterminated string', source, start);
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const num = source.slice(i).match(/^-?\d+(?:\.\d+)?/);
+    if (num) {
+      tokens.push({ type: 'number', value: parseFloat(num[0]), position: start });
+      i += num[0].length;
+      continue;
+    }
+
+    const sym = source.slice(i).match(/^(?:==|!=|>=|<=|=|>|<)/);
+    if (sym) {
+      tokens.push({ type: 'symbol', value: sym[0], position: start });
+      i += sym[0].length;
+      continue;
+    }
+
+    if ('()[],'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, position: start });
+      i++;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_][\w.]*/);
+    if (word) {
+      tokens.push({ type: 'word', value: word[0], position: start });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected character "${ch}"`, source, start);
+  }
+
+  return tokens;
+}
+
+// -----------------------------
+// Parser
+// -----------------------------
+function parseCondition(source) {
+  const tokens = tokenizeCondition(source);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const endPosition = () => source.length;
+  const isWord = (token, word) =>
+    token && token.type === 'word' && token.value.toLowerCase() === word;
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+
+  const expect = (value) => {
+    const token = peek();
+    if (!isPunct(token, value)) {
+      const where = token ? token.position : endPosition();
+      throw new ConditionSyntaxError(`Expected "${value}"`, source, where);
+    }
+    pos++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isWord(peek(), 'or')) {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isWord(peek(), 'and')) {
+      pos++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isWord(peek(), 'not')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (isPunct(peek(), '(')) {
+      pos++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+
+    if (!token || isWord(token, 'and') || isWord(token, 'or') || isPunct(token, ')')) {
+      return { type: 'truthy', operand: left };
+    }
+
+    const op = matchOperator();
+    if (!op) {
+      throw new ConditionSyntaxError(`Unknown operator "${token.value}"`, source, token.position);
+    }
+
+    if (UNARY_OPERATORS.has(op)) {
+      return { type: 'compare', op, left, right: null };
+    }
+
+    return { type: 'compare', op, left, right: parseOperand(true) };
+  }
+
+  function matchOperator() {
+    const token = peek();
+    if (token.type === 'symbol') {
+      pos++;
+      return SYMBOL_OPERATORS[token.value];
+    }
+    for (const [words, op] of OPERATORS) {
+      if (words.every((w, k) => isWord(peek(k), w))) {
+        pos += words.length;
+        return op;
+      }
+    }
+    return null;
+  }
+
+  function parseOperand(rightHand = false) {
+    const token = peek();
+    if (!token) {
+      throw new ConditionSyntaxError('Expected a value', source, endPosition());
+    }
+
+    switch (token.type) {
+      case 'ref':
+        pos++;
+        return { type: 'ref', path: token.value };
+      case 'string':
+      case 'number':
+        pos++;
+        return { type: 'literal', value: token.value };
+      case 'word': {
+        const lower = token.value.toLowerCase();
+        if (lower in LITERAL_WORDS) {
+          pos++;
+          return { type: 'literal', value: LITERAL_WORDS[lower] };
+        }
+        if (KEYWORDS.has(lower)) break;
+        if (rightHand) {
+          throw new ConditionSyntaxError(
+            `Bare word "${token.value}" after an operator; write "${token.value}" for text or {${token.value}} for a context value`,
+            source,
+            token.position
+          );
+        }
+        // Bare names are context references, as in "If approved"
+        pos++;
+        return { type: 'ref', path: token.value };
+      }
+      case 'punct':
+        if (token.value === '[') {
+          pos++;
+          const items = [];
+          while (!isPunct(peek(), ']')) {
+            items.push(parseOperand(rightHand));
+            if (isPunct(peek(), ',')) pos++;
+            else break;
+          }
+          expect(']');
+          return { type: 'list', items };
+        }
+        break;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected "${token.value}"`, source, token.position);
+  }
+
+  if (tokens.length === 0) {
+    throw new ConditionSyntaxError('Empty condition', source, 0);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const token = peek();
+    throw new ConditionSyntaxError(`Unexpected "${token.value}"`, source, token.position);
+  }
+  return ast;
+}
+
+// -----------------------------
+// Evaluator
+// -----------------------------
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return null;
+}
+
+function valuesEqual(a, b) {
+  if (a === undefined || a === null || b === undefined || b === null) return a == b;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na === nb;
+  return String(a) === String(b);
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function compareNumbers(a, b, test) {
+  const na = parseFloat(a);
+  const nb = parseFloat(b);
+  if (isNaN(na) || isNaN(nb)) return false;
+  return test(na, nb);
+}
+
+function contains(haystack, needle) {
+  if (typeof haystack === 'string') return haystack.includes(String(needle));
+  if (Array.isArray(haystack)) return haystack.some(item => valuesEqual(item, needle));
+  if (haystack && typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, needle);
+  return false;
+}
+
+function oneOf(value, list) {
+  return Array.isArray(list) && list.some(item => valuesEqual(value, item));
+}
+
+/**
+ * Evaluates a parsed condition. `resolve(path)` looks up context references.
+ */
+function evaluateCondition(node, resolve) {
+  switch (node.type) {
+    case 'or':
+      return evaluateCondition(node.left, resolve) || evaluateCondition(node.right, resolve);
+    case 'and':
+      return evaluateCondition(node.left, resolve) && evaluateCondition(node.right, resolve);
+    case 'not':
+      return !evaluateCondition(node.operand, resolve);
+    case 'truthy':
+      return Boolean(evaluateOperand(node.operand, resolve));
+    case 'compare': {
+      const left = evaluateOperand(node.left, resolve);
+      const right = node.right ? evaluateOperand(node.right, resolve) : undefined;
+      switch (node.op) {
+        case 'eq': return valuesEqual(left, right);
+        case 'ne': return !valuesEqual(left, right);
+        case 'gt': return compareNumbers(left, right, (a, b) => a > b);
+        case 'lt': return compareNumbers(left, right, (a, b) => a < b);
+        case 'gte': return compareNumbers(left, right, (a, b) => a >= b);
+        case 'lte': return compareNumbers(left, right, (a, b) => a <= b);
+        case 'contains': return contains(left, right);
+        case 'not_contains': return !contains(left, right);
+        case 'starts_with': return typeof left === 'string' && left.startsWith(String(right));
+        case 'ends_with': return typeof left === 'string' && left.endsWith(String(right));
+        case 'empty': return isEmpty(left);
+        case 'not_empty': return !isEmpty(left);
+        case 'in': return oneOf(left, right);
+        case 'not_in': return !oneOf(left, right);
+      }
+      throw new Error(`Unsupported condition operator: ${node.op}`);
+    }
+  }
+  throw new Error(`Unsupported condition node: ${node.type}`);
+}
+
+function evaluateOperand(node, resolve) {
+  switch (node.type) {
+    case 'ref': return resolve(node.path);
+    case 'literal': return node.value;
+    case 'list': return node.items.map(item => evaluateOperand(item, resolve));
+  }
+  throw new Error(`Unsupported condition operand: ${node.type}`);
+}
+
+module.exports = {
+  ConditionSyntaxError,
+  tokenizeCondition,
+  parseCondition,
+  evaluateCondition
+};
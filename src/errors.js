@@ -0,0 +1,83 @@
+/**
+ * Error types raised by the O-Lang kernel. Runtime errors carry where they
+ * happened as details: { stepNumber, line, resolver, action, ... }.
+ */
+class OLangError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+
+  // Plain form for result envelopes, NDJSON and HTTP responses
+  toJSON() {
+    const { cause, ...details } = this;
+    return { ...details, name: this.name, message: this.message, ...(cause ? { cause: cause.message } : {}) };
+  }
+}
+
+/**
+ * A resolver call blocked by workflow policy: not in Allow resolvers, or
+ * using a capability the workflow does not grant (details.capability).
+ */
+class PolicyViolationError extends OLangError {}
+
+/**
+ * A resolver that failed (the original error is details.cause), or an
+ * action whose agent no loaded resolver answers to.
+ */
+class ResolverError extends OLangError {}
+
+/**
+ * A resolver call that exceeded its step Timeout or manifest timeout_ms
+ * (details.timeoutMs).
+ */
+class ResolverTimeoutError extends ResolverError {}
+
+/**
+ * A workflow constraint that does not hold at run time, such as
+ * max_generations or a Repeat bound.
+ */
+class ConstraintError extends OLangError {}
+
+/**
+ * Aggregated parse failure (strict mode). Carries every error diagnostic
+ * as { code, severity, message, line, column, source, suggestion }.
+ */
+class ParseError extends OLangError {
+  constructor(diagnostics, filename = '<unknown>') {
+    const lines = diagnostics.map(d => {
+      const where = d.line ? `${filename}:${d.line}:${d.column || 1}` : filename;
+      const hint = d.suggestion ? ` (${d.suggestion})` : '';
+      return `  ${where} [${d.code}] ${d.message}${hint}`;
+    });
+    super(
+      `[O-Lang] ${diagnostics.length} parse error${diagnostics.length === 1 ? '' : 's'} in ${filename}:\n${lines.join('\n')}`,
+      { diagnostics, filename }
+    );
+  }
+}
+
+/**
+ * A pre-parsed or generated workflow that does not match ast.schema.json.
+ * Carries the problems as { path, message }.
+ */
+class AstValidationError extends OLangError {
+  constructor(problems) {
+    const lines = problems.map(p => `  ${p.path}: ${p.message}`);
+    super(
+      `[O-Lang] Invalid workflow AST (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${lines.join('\n')}`,
+      { problems }
+    );
+  }
+}
+
+module.exports = {
+  OLangError,
+  ParseError,
+  AstValidationError,
+  PolicyViolationError,
+  ResolverError,
+  ResolverTimeoutError,
+  ConstraintError
+};
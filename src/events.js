@@ -0,0 +1,54 @@
+/**
+ * Sinks for workflow events emitted by `Emit "event" with payload`.
+ * Each sink is a listener for the runtime's "*" channel, which receives
+ * { event, payload, workflow, stepNumber, timestamp } for every Emit step.
+ */
+
+/**
+ * Writes each event as one line of JSON.
+ * @param {NodeJS.WritableStream} stream
+ */
+function createNdjsonSink(stream = process.stdout) {
+  const sink = (record) => {
+    stream.write(JSON.stringify({ type: 'event', ...record }) + '\n');
+  };
+  sink.flush = async () => [];
+  return sink;
+}
+
+/**
+ * POSTs each event as JSON to a webhook URL.
+ * Deliveries run in the background; `flush()` waits for them and
+ * resolves with the list of failures.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=10000]
+ */
+function createWebhookSink(url, { timeoutMs = 10000 } = {}) {
+  const deliveries = [];
+
+  const sink = (record) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    const delivery = fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(record),
+      signal: controller.signal
+    })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+        return null;
+      })
+      .catch(err => ({ event: record.event, error: err.message }))
+      .finally(() => clearTimeout(timer));
+
+    deliveries.push(delivery);
+  };
+
+  sink.flush = async () => (await Promise.all(deliveries)).filter(Boolean);
+  return sink;
+}
+
+module.exports = { createNdjsonSink, createWebhookSink };
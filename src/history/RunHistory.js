@@ -0,0 +1,49 @@
+/**
+ * Abstract store for finished runs. The runtime appends one record per run
+ * (a resumed run appends another record under the same run id):
+ *   { runId, workflowName, workflowHash, status, ok, resumedFrom, inputs,
+ *     startedAt, finishedAt, durationMs, steps, warnings, policyBlocks,
+ *     result, errors }
+ * where each entry of `steps` is
+ *   { stepNumber, type, line, saveAs, status, output, error, startedAt, durationMs }
+ * in the order the steps finished (a block is listed after its body). Step
+ * status is `ok`, `failed` on the step that raised an error, or `propagated`
+ * on the blocks the error ended.
+ */
+class RunHistory {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Store a run record.
+   * @param {object} record
+   */
+  async append(record) {
+    throw new Error('Run history cannot store runs');
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.limit] - newest N runs only
+   * @returns {Promise<object[]>} { runId, workflowName, status, ok, startedAt, durationMs } per record, newest first
+   */
+  async list({ limit } = {}) {
+    throw new Error('Run history cannot list runs');
+  }
+
+  /**
+   * @param {string} runId
+   * @returns {Promise<object|null>} the latest record for the run, or null
+   */
+  async get(runId) {
+    throw new Error('Run history cannot load runs');
+  }
+
+  // Fields shown by `olang runs list`
+  static summarize({ runId, workflowName, status, ok, startedAt, durationMs }) {
+    return { runId, workflowName, status, ok, startedAt, durationMs };
+  }
+}
+
+module.exports = RunHistory;
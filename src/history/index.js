@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const RunHistory = require('./RunHistory');
+const JsonlRunHistory = require('./stores/jsonl');
+const SqliteRunHistory = require('./stores/sqlite');
+
+/**
+ * Run history for a location: a .db / .sqlite / .sqlite3 file uses SQLite,
+ * anything else is a JSONL file.
+ */
+function createRunHistory(location) {
+  if (/\.(?:db|sqlite3?)$/i.test(location)) return new SqliteRunHistory(location);
+  return new JsonlRunHistory(location);
+}
+
+/**
+ * SHA-256 of the workflow AST without parser metadata (`__*` keys and the
+ * file name), so the same workflow hashes the same wherever it was loaded from.
+ */
+function hashWorkflow(workflow) {
+  const ast = Object.fromEntries(
+    Object.entries(workflow).filter(([key]) => !key.startsWith('__') && key !== 'filename')
+  );
+  return crypto.createHash('sha256').update(JSON.stringify(ast)).digest('hex');
+}
+
+/**
+ * Differences between two run records as { path, before, after }, ignoring
+ * ids and timings. Steps are compared in the order they finished.
+ */
+function diffRuns(a, b) {
+  const view = run => ({
+    workflowName: run.workflowName,
+    workflowHash: run.workflowHash,
+    status: run.status,
+    inputs: run.inputs,
+    steps: run.steps.map(({ stepNumber, type, saveAs, status, output, error }) => (
+      { stepNumber, type, saveAs, status, output, error }
+    )),
+    result: run.result,
+    errors: run.errors.map(e => e.message),
+    warnings: run.warnings.map(w => w.message),
+    policyBlocks: run.policyBlocks.map(p => `${p.resolver}: ${p.step}`)
+  });
+
+  const changes = [];
+  diffValues(view(a), view(b), '', changes);
+  return changes;
+}
+
+function diffValues(before, after, at, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      diffValues(before[key], after[key], at ? `${at}.${key}` : key, changes);
+    }
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      diffValues(before[i], after[i], `${at}[${i}]`, changes);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: at, before, after });
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  RunHistory,
+  JsonlRunHistory,
+  SqliteRunHistory,
+  createRunHistory,
+  hashWorkflow,
+  diffRuns
+};
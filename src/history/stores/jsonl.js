@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const RunHistory = require('../RunHistory');
+
+/**
+ * Appends each run as one line of JSON to a file. Older records are never
+ * rewritten; the newest record for a run id wins.
+ */
+class JsonlRunHistory extends RunHistory {
+  constructor(file = './logs/runs.jsonl', options = {}) {
+    super(options);
+    this.file = path.resolve(file);
+  }
+
+  async append(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  async list({ limit } = {}) {
+    const runs = this.readAll().reverse().map(RunHistory.summarize);
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  async get(runId) {
+    return this.readAll().reverse().find(run => run.runId === runId) || null;
+  }
+}
+
+module.exports = JsonlRunHistory;
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const RunHistory = require('../RunHistory');
+
+/**
+ * Keeps runs in a SQLite database (table olang_runs), one row per record.
+ * Needs the optional `better-sqlite3` package, like sqlite persistence.
+ */
+class SqliteRunHistory extends RunHistory {
+  constructor(file = './logs/runs.db', options = {}) {
+    super(options);
+    const Database = require('better-sqlite3');
+    const dbDir = path.dirname(path.resolve(file));
+    if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
+
+    this.db = new Database(file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS olang_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        workflow_name TEXT,
+        workflow_hash TEXT,
+        status TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS olang_runs_run_id ON olang_runs (run_id);
+    `);
+  }
+
+  async append(record) {
+    this.db.prepare(`
+      INSERT INTO olang_runs (run_id, workflow_name, workflow_hash, status, started_at, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      record.runId,
+      record.workflowName,
+      record.workflowHash,
+      record.status,
+      record.startedAt,
+      JSON.stringify(record)
+    );
+  }
+
+  async list({ limit } = {}) {
+    const rows = this.db.prepare(`SELECT data FROM olang_runs ORDER BY id DESC${limit ? ' LIMIT ?' : ''}`)
+      .all(...(limit ? [limit] : []));
+    return rows.map(row => RunHistory.summarize(JSON.parse(row.data)));
+  }
+
+  async get(runId) {
+    const row = this.db.prepare('SELECT data FROM olang_runs WHERE run_id = ? ORDER BY id DESC LIMIT 1').get(runId);
+    return row ? JSON.parse(row.data) : null;
+  }
+}
+
+module.exports = SqliteRunHistory;
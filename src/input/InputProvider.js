@@ -0,0 +1,24 @@
+/**
+ * Abstract source of answers for `Prompt user to "..."` steps.
+ * Providers receive the prompt and resolve with the user's answer.
+ */
+class InputProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Ask a question and wait for the answer.
+   * @param {object} prompt
+   * @param {string} prompt.question - interpolated question text
+   * @param {string|null} prompt.name - the step's Save as target
+   * @param {number} prompt.stepNumber
+   * @param {string} prompt.workflow
+   * @returns {Promise<any>}
+   */
+  async ask(prompt) {
+    throw new Error(`Input provider cannot answer prompt: ${prompt.question}`);
+  }
+}
+
+module.exports = InputProvider;
@@ -0,0 +1,11 @@
+const InputProvider = require('./InputProvider');
+const ReadlineInputProvider = require('./providers/readline');
+const AnswersInputProvider = require('./providers/answers');
+const SuspendableInputProvider = require('./providers/suspend');
+
+module.exports = {
+  InputProvider,
+  ReadlineInputProvider,
+  AnswersInputProvider,
+  SuspendableInputProvider
+};
@@ -0,0 +1,24 @@
+const InputProvider = require('../InputProvider');
+
+/**
+ * Answers prompts from a pre-supplied map (tests and CI).
+ * Keys are matched against the prompt's Save as name, then its question text.
+ */
+class AnswersInputProvider extends InputProvider {
+  constructor(answers = {}, options = {}) {
+    super(options);
+    this.answers = answers;
+  }
+
+  async ask(prompt) {
+    if (prompt.name && Object.prototype.hasOwnProperty.call(this.answers, prompt.name)) {
+      return this.answers[prompt.name];
+    }
+    if (Object.prototype.hasOwnProperty.call(this.answers, prompt.question)) {
+      return this.answers[prompt.question];
+    }
+    throw new Error(`No answer supplied for prompt "${prompt.question}"`);
+  }
+}
+
+module.exports = AnswersInputProvider;
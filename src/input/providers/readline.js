@@ -0,0 +1,35 @@
+const readline = require('readline');
+const InputProvider = require('../InputProvider');
+
+/**
+ * Asks prompts on a terminal (used by `olang run`).
+ */
+class ReadlineInputProvider extends InputProvider {
+  constructor(options = {}) {
+    super(options);
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+  }
+
+  async ask(prompt) {
+    // A fresh interface per question so stdin is released between prompts
+    const rl = readline.createInterface({ input: this.input, output: this.output });
+    try {
+      return await new Promise((resolve, reject) => {
+        let answered = false;
+        rl.question(`❓ ${prompt.question} `, answer => {
+          answered = true;
+          resolve(answer);
+        });
+        // EOF (closed stdin, Ctrl+D) before an answer must fail the run, not leave it hanging
+        rl.once('close', () => {
+          if (!answered) reject(new Error(`Input closed before an answer to prompt "${prompt.question}"`));
+        });
+      });
+    } finally {
+      rl.close();
+    }
+  }
+}
+
+module.exports = ReadlineInputProvider;
@@ -0,0 +1,65 @@
+const InputProvider = require('../InputProvider');
+
+/**
+ * Suspends the run on each prompt until `resume(id, answer)` is called
+ * (used by `olang server`, where answers arrive in a later request).
+ */
+class SuspendableInputProvider extends InputProvider {
+  constructor(options = {}) {
+    super(options);
+    this.pending = new Map();
+    this.listeners = [];
+    this.nextId = 1;
+    this.cancelled = null;
+  }
+
+  ask(prompt) {
+    if (this.cancelled) return Promise.reject(this.cancelled);
+    const id = String(this.nextId++);
+    const pendingPrompt = { ...prompt, id };
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { prompt: pendingPrompt, resolve, reject });
+      const listeners = this.listeners;
+      this.listeners = [];
+      listeners.forEach(cb => cb(pendingPrompt));
+    });
+  }
+
+  /**
+   * Resolves with the next prompt the run suspends on
+   * (immediately if one is already waiting).
+   */
+  nextPrompt() {
+    const [waiting] = this.getPending();
+    if (waiting) return Promise.resolve(waiting);
+    return new Promise(resolve => this.listeners.push(resolve));
+  }
+
+  getPending() {
+    return [...this.pending.values()].map(p => p.prompt);
+  }
+
+  resume(id, answer) {
+    const entry = this.pending.get(String(id));
+    if (!entry) {
+      throw new Error(`No pending prompt with id "${id}"`);
+    }
+    this.pending.delete(String(id));
+    entry.resolve(answer);
+  }
+
+  /**
+   * Drops every nextPrompt() waiter and fails waiting and later prompts with
+   * `error` (when the run has finished there are none to fail).
+   */
+  cancel(error) {
+    const pending = [...this.pending.values()];
+    this.pending.clear();
+    this.listeners = [];
+    this.cancelled = error;
+    pending.forEach(entry => entry.reject(error));
+  }
+}
+
+module.exports = SuspendableInputProvider;
@@ -0,0 +1,267 @@
+/**
+ * Sandboxed math expressions for `calculate` steps.
+ *
+ *   expression := comparison
+ *   comparison := additive (("==" | "!=" | ">" | "<" | ">=" | "<=") additive)?
+ *   additive   := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/" | "%") unary)*
+ *   unary      := "-" unary | primary
+ *   primary    := number | "string" | {path} | [expression, ...]
+ *               | name "(" expression, ... ")" | "(" expression ")"
+ *
+ * Only functions from the supplied table can be called; nothing is ever
+ * handed to the JavaScript engine as code.
+ */
+
+class ExpressionSyntaxError extends Error {
+  constructor(message, source, position) {
+    super(`${message} at position ${position} in expression: ${source}`);
+    this.name = 'ExpressionSyntaxError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '>', '<', '>=', '<=']);
+
+// -----------------------------
+// Tokenizer
+// -----------------------------
+function tokenizeExpression(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (ch === '{') {
+      const close = source.indexOf('}', i);
+      if (close === -1) throw new ExpressionSyntaxError('Unclosed "{"', source, start);
+      const path = source.slice(i + 1, close).trim();
+      if (!path) throw new ExpressionSyntaxError('Empty reference "{}"', source, start);
+      tokens.push({ type: 'ref', value: path, position: start });
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new ExpressionSyntaxError('Unterminated string', source, start);
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const num = source.slice(i).match(/^\d+(?:\.\d+)?/);
+    if (num) {
+      tokens.push({ type: 'number', value: parseFloat(num[0]), position: start });
+      i += num[0].length;
+      continue;
+    }
+
+    const op = source.slice(i).match(/^(?:==|!=|>=|<=|[-+*/%<>(),[\]])/);
+    if (op) {
+      tokens.push({ type: 'op', value: op[0], position: start });
+      i += op[0].length;
+      continue;
+    }
+
+    const name = source.slice(i).match(/^[A-Za-z_]\w*/);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position: start });
+      i += name[0].length;
+      continue;
+    }
+
+    throw new ExpressionSyntaxError(`Unexpected character "${ch}"`, source, start);
+  }
+
+  return tokens;
+}
+
+// -----------------------------
+// Parser
+// -----------------------------
+function parseExpression(source) {
+  const tokens = tokenizeExpression(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (token, value) => token && token.type === 'op' && token.value === value;
+  const fail = (message, token) =>
+    new ExpressionSyntaxError(message, source, token ? token.position : source.length);
+
+  const expect = (value) => {
+    if (!isOp(peek(), value)) throw fail(`Expected "${value}"`, peek());
+    pos++;
+  };
+
+  function parseComparison() {
+    const left = parseAdditive();
+    const token = peek();
+    if (token && token.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+      pos++;
+      return { type: 'binary', op: token.value, left, right: parseAdditive(), position: token.position };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let node = parseTerm();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const token = tokens[pos++];
+      node = { type: 'binary', op: token.value, left: node, right: parseTerm(), position: token.position };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp(peek(), '*') || isOp(peek(), '/') || isOp(peek(), '%')) {
+      const token = tokens[pos++];
+      node = { type: 'binary', op: token.value, left: node, right: parseUnary(), position: token.position };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp(peek(), '-')) {
+      const token = tokens[pos++];
+      return { type: 'negate', operand: parseUnary(), position: token.position };
+    }
+    return parsePrimary();
+  }
+
+  function parseList(close) {
+    const items = [];
+    if (isOp(peek(), close)) {
+      pos++;
+      return items;
+    }
+    for (;;) {
+      items.push(parseComparison());
+      if (isOp(peek(), ',')) {
+        pos++;
+        continue;
+      }
+      expect(close);
+      return items;
+    }
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw fail('Expected a value', null);
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        pos++;
+        return { type: 'literal', value: token.value, position: token.position };
+      case 'ref':
+        pos++;
+        return { type: 'ref', path: token.value, position: token.position };
+      case 'name':
+        pos++;
+        if (!isOp(peek(), '(')) {
+          throw fail(`Unknown identifier "${token.value}" (use {${token.value}} for context values)`, token);
+        }
+        pos++;
+        return { type: 'call', name: token.value, args: parseList(')'), position: token.position };
+      case 'op':
+        if (token.value === '(') {
+          pos++;
+          const node = parseComparison();
+          expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          pos++;
+          return { type: 'list', items: parseList(']'), position: token.position };
+        }
+        break;
+    }
+
+    throw fail(`Unexpected "${token.value}"`, token);
+  }
+
+  if (tokens.length === 0) throw fail('Empty expression', null);
+
+  const ast = parseComparison();
+  if (pos < tokens.length) throw fail(`Unexpected "${peek().value}"`, peek());
+  return ast;
+}
+
+// -----------------------------
+// Interpreter
+// -----------------------------
+/**
+ * Evaluates an expression string.
+ * @param {string} source
+ * @param {object} env
+ * @param {(path: string) => any} env.resolve - context lookup for {path}
+ * @param {Object<string, Function>} env.functions - callable functions by name
+ */
+function evaluateExpression(source, { resolve, functions }) {
+  const ast = parseExpression(source);
+
+  const run = (node) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'ref': {
+        const value = resolve(node.path);
+        return value !== undefined ? value : 0;
+      }
+      case 'list':
+        return node.items.map(run);
+      case 'negate':
+        return -run(node.operand);
+      case 'call': {
+        if (!Object.prototype.hasOwnProperty.call(functions, node.name)) {
+          throw new ExpressionSyntaxError(`Unknown function "${node.name}"`, source, node.position);
+        }
+        return functions[node.name](...node.args.map(run));
+      }
+      case 'binary': {
+        const left = run(node.left);
+        const right = run(node.right);
+        switch (node.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          case '==': return left === right;
+          case '!=': return left !== right;
+          case '>': return left > right;
+          case '<': return left < right;
+          case '>=': return left >= right;
+          case '<=': return left <= right;
+        }
+      }
+    }
+    throw new ExpressionSyntaxError(`Unsupported expression`, source, node.position);
+  };
+
+  return run(ast);
+}
+
+module.exports = {
+  ExpressionSyntaxError,
+  tokenizeExpression,
+  parseExpression,
+  evaluateExpression
+};
@@ -1,9 +1,23 @@
 const fs = require('fs');
+const path = require('path');
+const { parseCondition } = require('./conditions');
+const { ParseError } = require('./errors');
+const { AST_VERSION } = require('./ast');
+const { parseAction } = require('./actions');
+const { validateWorkflow } = require('./validator');
 
-function parse(content, filename = '<unknown>') {
+/**
+ * Parses O-Lang source into a workflow AST.
+ * Problems are recorded in `workflow.__diagnostics` (and as text in `__warnings`).
+ * With `{ strict: true }`, any error diagnostic throws an aggregated ParseError
+ * (pass `throwOnError: false` to keep strict severities without throwing).
+ * With `{ comments: true }`, comments, blank lines and header positions are
+ * kept in `workflow.__layout` so the printer can write the source back.
+ */
+function parse(content, filename = '<unknown>', options = {}) {
   if (typeof content === 'string') {
     const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
-    return parseLines(lines, filename);
+    return parseLines(lines, filename, options);
   } else if (typeof content === 'object' && content !== null) {
     // Already parsed
     return content;
@@ -12,54 +26,162 @@ function parse(content, filename = '<unknown>') {
   }
 }
 
-function parseFromFile(filepath) {
+function parseFromFile(filepath, options = {}) {
   const content = fs.readFileSync(filepath, 'utf8');
-  return parse(content, filepath);
+  return parse(content, filepath, options);
 }
 
-function parseLines(lines, filename) {
+function parseLines(lines, filename, options = {}) {
   // Remove evolution file parsing - evolution is now in-workflow
-  return parseWorkflowLines(lines, filename);
+  const workflow = parseWorkflowLines(lines, filename, options);
+  
+  // Strict mode throws unless the caller only wants the promoted diagnostics
+  if (options.strict && options.throwOnError !== false) {
+    const errors = workflow.__diagnostics.filter(d => d.severity === 'error');
+    if (errors.length) throw new ParseError(errors, filename);
+  }
+  
+  return workflow;
 }
 
-function parseWorkflowLines(lines, filename) {
+const PARALLEL_START = /^Run\s+in\s+parallel:?$/i;
+const PARALLEL_END = /^End(?:\s+parallel)?$/i;
+const IF_START = /^(?:If|When)\s+(.+)$/i;
+const ELSE_IF = /^(?:Else|Otherwise)\s+(?:If|When)\s+(.+)$/i;
+const ELSE = /^(?:Else|Otherwise):?$/i;
+const IF_END = /^End(?:\s*If)?$/i;
+const FOR_EACH = /^For\s+each\s+\{?(\w+)\}?(?:\s*,\s*\{?(\w+)\}?)?\s+in\s+\{?([\w.]+)\}?:?$/i;
+const REPEAT = /^Repeat\s+until\s+(.+?)(?:\s+at\s+most\s+(\d+)\s+times?)?:?$/i;
+const CONNECT = /^Connect\s+(?:"([^"]+)"|([\w.-]+))\s+(?:using|to)\s+"([^"]*)"$/i;
+const AGENT_USES = /^Agent\s+(?:"([^"]+)"|([\w.-]+))\s+uses\s+(?:"([^"]+)"|([\w.-]+))$/i;
+const PROMPT = /^Prompt\s+(?:the\s+)?user\s+(?:to|for)\s+"([^"]*)"(?:\s+Save as\s+(.+))?$/i;
+const EMIT = /^Emit\s+"([^"]+)"(?:\s+with\s+(.+))?$/i;
+const PERSIST = /^(Persist|Append)\s+\{?([\w.]+)\}?\s+to\s+(db\s+)?"([^"]*)"$/i;
+const COLLECTION_NAME = /^[A-Za-z_]\w*$/;
+const DEBRIEF = /^Debrief\s+(\S+)\s+with\s+"(.*)"$/i;
+const LOOP_END = /^End(?:\s*(?:For|Each|Repeat|Loop))?$/i;
+const RETRIES = /^With\s+retries\s+(\d+)(?:\s+backoff\s+(\S+))?$/i;
+const TIMEOUT = /^Timeout\s+(\S+)$/i;
+const ON_FAILURE = /^On\s+failure\s+(?:use\s+(\S+)|(stop))$/i;
+const DURATION = /^(\d+(?:\.\d+)?)(ms|s|m)?$/i;
+const CAPABILITY_GRANT = /^(\S+)\s+may(?:\s+(not))?(?:\s+(.*))?$/i;
+const CAPABILITY_NAME = /^(?:\*|[A-Za-z_][\w-]*(?:\.(?:[\w-]+|\*))*)$/;
+const ON_ERROR = /^On\s+error:\s*(\S*)$/i;
+const ON_ERROR_MODES = ['stop', 'continue', 'collect'];
+const SECRET = /^Secret\s+(.+?)(?:\s+for\s+(.+))?$/i;
+const SHARE = /^Share\s+with\s+([^:\s]+)\s*:\s*(.*)$/i;
+const CONTEXT_PATH = /^[A-Za-z_]\w*(?:\.\w+)*$/;
+
+// Warnings that become errors when parse() runs in strict mode
+const STRICT_CODES = new Set(['unknown-statement', 'continuation-line', 'duplicate-step', 'orphan-save']);
+
+// Statement keywords, used to suggest fixes for misspelt lines
+const KEYWORDS = [
+  'Workflow', 'Step', 'Save', 'Return', 'If', 'When', 'Else', 'End', 'Run', 'For', 'Repeat',
+  'Connect', 'Agent', 'Prompt', 'Emit', 'Persist', 'Append', 'Debrief', 'Evolve', 'Constraint:', 'Allow', 'Secret', 'Share'
+];
+
+function parseWorkflowLines(lines, filename, options = {}) {
   const workflow = {
     type: 'workflow',
+    astVersion: AST_VERSION,
     name: null,
     parameters: [],
     steps: [],
     returnValues: [],
     allowedResolvers: [],
+    capabilityGrants: {}, // resolver -> { allow: [...], deny: [...] } from "- Name may [not] cap, ..."
     maxGenerations: null, // ✅ Updated field name for Constraint: max_generations = X
+    onError: null, // On error: stop | continue | collect (null: the runtime default)
+    secrets: [], // { name, resolvers } from "Secret name [for Resolver, ...]"
+    shares: [], // { agent, vars } from "Share with Agent: var1, var2"
     __warnings: [],
+    __diagnostics: [],
     filename: filename
   };
   
-  let i = 0;
+  if (options.comments) {
+    workflow.__layout = { comments: [], blankLines: [], workflowLine: null, allowResolversLine: null, constraintLine: null, onErrorLine: null, resolverLines: {}, secretLines: {}, shareLines: {} };
+  }
+  
+  const cursor = { lines, index: 0, workflow, strict: Boolean(options.strict) };
+  workflow.steps = parseBlock(cursor, workflow, null);
+  
+  // Check for common issues
+  if (!workflow.name) {
+    diagnose(cursor, 'missing-name', 'Workflow name not found', {
+      line: null,
+      suggestion: 'Start the file with: Workflow "Name" with param1, param2'
+    });
+  }
+  
+  if (workflow.steps.length === 0) {
+    diagnose(cursor, 'no-steps', 'No steps found in workflow', { line: null });
+  }
+  
+  if (workflow.returnValues.length === 0 && workflow.steps.length > 0) {
+    diagnose(cursor, 'no-return', 'No Return statement found', {
+      line: null,
+      suggestion: 'End the workflow with: Return name1, name2'
+    });
+  }
+  
+  return workflow;
+}
+
+/**
+ * Parses statements until the end of the input or, for a nested block,
+ * until the line that closes it. Returns the steps found in the block.
+ * `block` is null at the top level, otherwise { label, isEnd, line };
+ * the line that closed the block is stored on it as `closedBy` (its number
+ * as `closedLine`).
+ */
+function parseBlock(cursor, workflow, block) {
+  const { lines } = cursor;
+  const steps = [];
   let currentStep = null;
+  let numberedStep = null; // the pending step when it came from a "Step N:" line
   let inAllowResolvers = false;
-  let inIfBlock = false;
-  let ifCondition = null;
-  let ifBody = [];
+  const stepLines = new Map(); // explicit step number -> line, to catch duplicates
   
-  while (i < lines.length) {
-    let line = lines[i++].trim();
+  const flushStep = () => {
+    if (currentStep) {
+      steps.push(finalizeStep(currentStep));
+      currentStep = null;
+    }
+  };
+  
+  while (cursor.index < lines.length) {
+    let line = lines[cursor.index++].trim();
     
     // Skip empty lines and comments
     if (line === '' || line.startsWith('#')) {
+      recordTrivia(workflow, line, cursor.index);
       continue;
     }
     
+    // Close the enclosing block
+    if (block && block.isEnd(line)) {
+      block.closedBy = line;
+      block.closedLine = cursor.index;
+      flushStep();
+      return steps;
+    }
+    
     // Parse Workflow declaration
     if (line.startsWith('Workflow ')) {
       const match = line.match(/^Workflow\s+"([^"]+)"(?:\s+with\s+(.+))?$/i);
       if (match) {
         workflow.name = match[1];
+        setLayoutLine(workflow, 'workflowLine', cursor.index);
         if (match[2]) {
           workflow.parameters = match[2].split(',').map(p => p.trim()).filter(p => p !== '');
         }
       } else {
-        workflow.__warnings.push(`Invalid Workflow syntax: ${line}`);
+        diagnose(cursor, 'invalid-workflow', `Invalid Workflow syntax: ${line}`, {
+          severity: 'error',
+          suggestion: 'Use: Workflow "Name" with param1, param2'
+        });
       }
       continue;
     }
@@ -69,68 +191,229 @@ function parseWorkflowLines(lines, filename) {
       const match = line.match(/^Constraint:\s+max_generations\s*=\s*(\d+)$/i);
       if (match) {
         workflow.maxGenerations = parseInt(match[1], 10);
+        setLayoutLine(workflow, 'constraintLine', cursor.index);
       } else {
-        workflow.__warnings.push(`Invalid Constraint syntax: ${line}`);
+        diagnose(cursor, 'invalid-constraint', `Invalid Constraint syntax: ${line}`, {
+          severity: 'error',
+          suggestion: 'Use: Constraint: max_generations = 3'
+        });
       }
       continue;
     }
     
+    // Parse On error: stop | continue | collect
+    const onErrorMatch = line.match(ON_ERROR);
+    if (onErrorMatch) {
+      const mode = onErrorMatch[1].toLowerCase();
+      if (ON_ERROR_MODES.includes(mode)) {
+        workflow.onError = mode;
+        setLayoutLine(workflow, 'onErrorLine', cursor.index);
+      } else {
+        diagnose(cursor, 'invalid-on-error', `Invalid On error mode: ${line}`, {
+          severity: 'error',
+          suggestion: 'Use: On error: stop | continue | collect'
+        });
+      }
+      continue;
+    }
+    
+    // Parse Secret name, ... [for Resolver, ...]
+    const secretMatch = line.match(SECRET);
+    if (secretMatch) {
+      parseSecret(cursor, workflow, secretMatch[1], secretMatch[2] || '');
+      continue;
+    }
+    
+    // Parse Share with Agent: var1, var2
+    const shareMatch = line.match(SHARE);
+    if (shareMatch) {
+      parseShare(cursor, workflow, shareMatch[1], shareMatch[2]);
+      continue;
+    }
+    
     // Parse Allow resolvers section
     if (line === 'Allow resolvers:') {
       inAllowResolvers = true;
+      setLayoutLine(workflow, 'allowResolversLine', cursor.index);
       continue;
     }
     
     if (inAllowResolvers) {
       if (line.startsWith('- ')) {
-        const resolverName = line.substring(2).trim();
-        if (resolverName) {
+        const entry = line.substring(2).trim();
+        const grant = entry.match(CAPABILITY_GRANT);
+        const resolverName = grant ? grant[1] : entry;
+        // A "may not" line only restricts; it does not allow the resolver
+        const allows = !grant || !grant[2];
+        if (resolverName && allows && !workflow.allowedResolvers.includes(resolverName)) {
           workflow.allowedResolvers.push(resolverName);
         }
-      } else if (line === '' || line.startsWith('#')) {
-        // Continue
-      } else {
-        // End of Allow resolvers section
-        inAllowResolvers = false;
-        i--; // Re-process this line
+        // Keyed like the printer's entries: "Name", "Name may", "Name may not"
+        const entryKey = grant ? `${resolverName} may${grant[2] ? ' not' : ''}` : resolverName;
+        if (workflow.__layout) workflow.__layout.resolverLines[entryKey] ??= cursor.index;
+        if (grant) {
+          parseCapabilityGrant(cursor, workflow, resolverName, Boolean(grant[2]), grant[3] || '');
+        }
         continue;
       }
-      continue;
+      // End of Allow resolvers section, fall through to re-process this line
+      inAllowResolvers = false;
     }
     
     // Parse Step declarations
+    let stepNumber = null;
+    let content = line;
     const stepMatch = line.match(/^Step\s+(\d+)\s*:\s*(.+)$/i);
     if (stepMatch) {
       // Save previous step if it exists
-      if (currentStep) {
-        workflow.steps.push(currentStep);
-        currentStep = null;
-      }
-      
-      const stepNumber = parseInt(stepMatch[1], 10);
-      const stepContent = stepMatch[2];
+      flushStep();
+      stepNumber = parseInt(stepMatch[1], 10);
+      content = stepMatch[2].trim();
       
+      if (stepLines.has(stepNumber)) {
+        diagnose(cursor, 'duplicate-step', `Duplicate Step ${stepNumber} (first used on line ${stepLines.get(stepNumber)})`, {
+          suggestion: 'Renumber the steps so each number is used once per block'
+        });
+      } else {
+        stepLines.set(stepNumber, cursor.index);
+      }
+    }
+    const nextNumber = () => (stepNumber !== null ? stepNumber : steps.length + 1);
+    
+    // Parse Run in parallel blocks
+    if (PARALLEL_START.test(content)) {
+      flushStep();
+      steps.push(parseParallel(cursor, workflow, nextNumber()));
+      continue;
+    }
+    
+    // Parse For each / Repeat until loops; a Save as after End applies to the loop
+    const forEachMatch = content.match(FOR_EACH);
+    if (forEachMatch) {
+      flushStep();
+      currentStep = parseForEach(cursor, workflow, forEachMatch, nextNumber());
+      continue;
+    }
+    
+    const repeatMatch = content.match(REPEAT);
+    if (repeatMatch) {
+      flushStep();
+      currentStep = parseRepeat(cursor, workflow, repeatMatch, nextNumber());
+      continue;
+    }
+    
+    // Parse If/When conditions, as a block or as the one-line "If cond, Action" form
+    const ifMatch = content.match(IF_START);
+    if (ifMatch) {
+      flushStep();
+      const inline = splitInlineIf(ifMatch[1]);
+      if (inline) {
+        checkCondition(cursor, inline.condition);
+        currentStep = {
+          type: 'if',
+          stepNumber: nextNumber(),
+          line: cursor.index,
+          condition: inline.condition,
+          body: [createAction(inline.action, 1, cursor.index)],
+          elseBody: [],
+          inline: true
+        };
+      } else {
+        steps.push(parseIf(cursor, workflow, ifMatch[1], nextNumber()));
+      }
+      continue;
+    }
+    
+    // Parse resource bindings: Connect "Resource" using "uri" / Agent "Name" uses "Resource"
+    const connectMatch = content.match(CONNECT);
+    if (connectMatch) {
+      flushStep();
+      if (!connectMatch[3].trim()) {
+        diagnose(cursor, 'empty-connect-uri', 'Connect has an empty uri', { severity: 'error' });
+      }
+      steps.push({
+        type: 'connect',
+        stepNumber: nextNumber(),
+        line: cursor.index,
+        resource: connectMatch[1] || connectMatch[2],
+        endpoint: connectMatch[3].trim()
+      });
+      continue;
+    }
+    
+    const agentMatch = content.match(AGENT_USES);
+    if (agentMatch) {
+      flushStep();
+      steps.push({
+        type: 'agent_use',
+        stepNumber: nextNumber(),
+        line: cursor.index,
+        logicalName: agentMatch[1] || agentMatch[2],
+        resource: agentMatch[3] || agentMatch[4]
+      });
+      continue;
+    }
+    
+    // Parse Prompt user to "question"; the answer is stored with Save as
+    const promptMatch = content.match(PROMPT);
+    if (promptMatch) {
+      flushStep();
       currentStep = {
-        type: 'action',
-        stepNumber: stepNumber,
-        actionRaw: stepContent,
-        saveAs: null,
+        type: 'prompt',
+        stepNumber: nextNumber(),
+        line: cursor.index,
+        question: promptMatch[1],
+        saveAs: promptMatch[2] ? promptMatch[2].trim() : null,
         constraints: {}
       };
       continue;
     }
     
+    // Parse Emit "event" with payload
+    const emitMatch = content.match(EMIT);
+    if (emitMatch) {
+      flushStep();
+      steps.push({
+        type: 'emit',
+        stepNumber: nextNumber(),
+        line: cursor.index,
+        event: emitMatch[1],
+        payload: emitMatch[2] ? parseEmitPayload(emitMatch[2].trim()) : null
+      });
+      continue;
+    }
+    
+    // Parse Persist {x} to "file", Append {x} to "file" and Persist {x} to db "collection"
+    const persistMatch = content.match(PERSIST);
+    if (persistMatch) {
+      flushStep();
+      steps.push(parsePersist(cursor, persistMatch, nextNumber()));
+      continue;
+    }
+    
+    // Parse Debrief Agent with "message"
+    const debriefMatch = content.match(DEBRIEF);
+    if (debriefMatch) {
+      flushStep();
+      steps.push({
+        type: 'debrief',
+        stepNumber: nextNumber(),
+        line: cursor.index,
+        agent: debriefMatch[1],
+        message: debriefMatch[2]
+      });
+      continue;
+    }
+    
     // Parse Evolve steps (✅ NEW IN-WORKFLOW EVOLUTION)
-    const evolveMatch = line.match(/^Evolve\s+([^\s]+)\s+using\s+feedback:\s*"([^"]*)"$/i);
+    const evolveMatch = content.match(/^Evolve\s+([^\s]+)\s+using\s+feedback:\s*"([^"]*)"$/i);
     if (evolveMatch) {
-      if (currentStep) {
-        workflow.steps.push(currentStep);
-        currentStep = null;
-      }
+      flushStep();
       
       currentStep = {
         type: 'evolve',
-        stepNumber: workflow.steps.length + 1,
+        stepNumber: nextNumber(),
+        line: cursor.index,
         targetResolver: evolveMatch[1].trim(),
         feedback: evolveMatch[2],
         saveAs: null,
@@ -139,117 +422,496 @@ function parseWorkflowLines(lines, filename) {
       continue;
     }
     
-    // Parse Save as
-    const saveMatch = line.match(/^Save as\s+(.+)$/i);
-    if (saveMatch && currentStep) {
-      currentStep.saveAs = saveMatch[1].trim();
+    if (stepMatch) {
+      currentStep = numberedStep = createAction(content, stepNumber, cursor.index);
       continue;
     }
     
-    // Parse If/When conditions
-    const ifMatch = line.match(/^(?:If|When)\s+(.+)$/i);
-    if (ifMatch) {
-      ifCondition = ifMatch[1].trim();
-      inIfBlock = true;
-      ifBody = [];
+    // Parse step modifiers (With retries / Timeout / On failure); like Save as,
+    // they follow the step they apply to
+    if (RETRIES.test(line) || TIMEOUT.test(line) || ON_FAILURE.test(line)) {
+      const last = currentStep || steps[steps.length - 1];
+      applyModifier(cursor, last ? actionTarget(last) : null, line);
       continue;
     }
     
-    const endIfMatch = line.match(/^End(?:If)?$/i);
-    if (endIfMatch && inIfBlock) {
+    // Parse Save as
+    const saveMatch = line.match(/^Save as\s+(.+)$/i);
+    if (saveMatch) {
       if (currentStep) {
-        workflow.steps.push(currentStep);
-        currentStep = null;
+        actionTarget(currentStep).saveAs = saveMatch[1].trim();
+        // Save as closes the step, so the next bare line starts a new one
+        flushStep();
+      } else {
+        diagnose(cursor, 'orphan-save', `"${line}" does not follow a step`, {
+          suggestion: 'Move it directly below the step whose result it stores'
+        });
       }
-      
-      workflow.steps.push({
-        type: 'if',
-        condition: ifCondition,
-        body: ifBody,
-        stepNumber: workflow.steps.length + 1
-      });
-      
-      inIfBlock = false;
-      ifCondition = null;
-      ifBody = [];
-      continue;
-    }
-    
-    // Handle lines inside If block
-    if (inIfBlock) {
-      ifBody.push(line);
       continue;
     }
     
     // Parse Return statement
     const returnMatch = line.match(/^Return\s+(.+)$/i);
     if (returnMatch) {
-      if (currentStep) {
-        workflow.steps.push(currentStep);
-        currentStep = null;
-      }
+      flushStep();
       workflow.returnValues = returnMatch[1].split(',').map(r => r.trim()).filter(r => r !== '');
+      workflow.returnLine = cursor.index;
       continue;
     }
     
     // If we reach here and have unprocessed content, it's likely a workflow line without "Step X:"
     // Try to handle it as a step
-    if (line.trim() !== '') {
-      if (!currentStep) {
-        currentStep = {
-          type: 'action',
-          stepNumber: workflow.steps.length + 1,
-          actionRaw: line,
-          saveAs: null,
-          constraints: {}
-        };
-      } else {
-        // Append to current step action (multi-line)
-        currentStep.actionRaw += ' ' + line;
-      }
+    // Inside a block body a bare line is its own action; only a pending
+    // "Step N:" line takes continuation lines there
+    const target = currentStep && actionTarget(currentStep);
+    if (block && (!currentStep || currentStep !== numberedStep)) {
+      flushStep();
+      currentStep = createAction(line, steps.length + 1, cursor.index);
+    } else if (target && target.actionRaw !== undefined) {
+      // Append to current step action (multi-line)
+      diagnose(cursor, 'continuation-line', `Line appended to the previous step: "${line}"`, {
+        suggestion: suggestKeyword(line) || 'Join it with the step line, or start a new "Step N:"'
+      });
+      target.actionRaw += ' ' + line;
+    } else {
+      diagnose(cursor, 'unknown-statement', `Unrecognised statement treated as an action: "${line}"`, {
+        suggestion: suggestKeyword(line) || 'Prefix actions with "Step N:"'
+      });
+      flushStep();
+      currentStep = createAction(line, steps.length + 1, cursor.index);
     }
   }
   
   // Don't forget the last step
-  if (currentStep) {
-    workflow.steps.push(currentStep);
+  flushStep();
+  
+  if (block) {
+    diagnose(cursor, 'unterminated-block', `Unterminated "${block.label}" block`, {
+      line: block.line,
+      severity: 'error',
+      suggestion: 'Close the block with "End"'
+    });
   }
   
-  // Post-process steps to extract Save as from actionRaw
-  workflow.steps.forEach(step => {
-    if (step.actionRaw && step.saveAs === null) {
-      const saveInAction = step.actionRaw.match(/(.+?)\s+Save as\s+(.+)$/i);
-      if (saveInAction) {
-        step.actionRaw = saveInAction[1].trim();
-        step.saveAs = saveInAction[2].trim();
-      }
+  return steps;
+}
+
+function parseParallel(cursor, workflow, stepNumber) {
+  const block = { label: 'Run in parallel', isEnd: line => PARALLEL_END.test(line), line: cursor.index };
+  const branches = parseBlock(cursor, workflow, block);
+  
+  if (branches.length === 0) {
+    diagnose(cursor, 'empty-block', 'Empty "Run in parallel" block', { line: block.line });
+  }
+  
+  return {
+    type: 'parallel',
+    stepNumber: stepNumber,
+    line: block.line,
+    endLine: block.closedLine || null,
+    steps: branches,
+    saveAs: null,
+    constraints: {}
+  };
+}
+
+function parseForEach(cursor, workflow, match, stepNumber) {
+  const [, item, index, collection] = match;
+  const block = { label: 'For each', isEnd: line => LOOP_END.test(line), line: cursor.index };
+  const steps = parseBlock(cursor, workflow, block);
+  
+  return {
+    type: 'foreach',
+    stepNumber: stepNumber,
+    line: block.line,
+    endLine: block.closedLine || null,
+    item: item,
+    index: index || `${item}_index`,
+    collection: collection,
+    steps: steps,
+    saveAs: null,
+    constraints: {}
+  };
+}
+
+// Repeat loops must be bounded, like Constraint: max_generations bounds evolution
+function parseRepeat(cursor, workflow, match, stepNumber) {
+  const [, conditionText, bound] = match;
+  const line = cursor.index;
+  const condition = cleanCondition(conditionText);
+  checkCondition(cursor, condition);
+  
+  const maxIterations = bound ? parseInt(bound, 10) : null;
+  if (!maxIterations) {
+    diagnose(cursor, 'missing-loop-bound', 'Repeat until needs a positive "at most N times" bound', {
+      severity: 'error',
+      suggestion: `Repeat until ${condition} at most 5 times`
+    });
+  }
+  
+  const block = { label: 'Repeat until', isEnd: l => LOOP_END.test(l), line };
+  const steps = parseBlock(cursor, workflow, block);
+  
+  return {
+    type: 'repeat',
+    stepNumber: stepNumber,
+    line: line,
+    endLine: block.closedLine || null,
+    condition: condition,
+    maxIterations: maxIterations,
+    steps: steps,
+    saveAs: null,
+    constraints: {}
+  };
+}
+
+// Fills step.constraints: { retries, backoffMs, timeoutMs, onFailure: { type: 'use', agent } | { type: 'stop' } }
+function applyModifier(cursor, step, line) {
+  if (!step || step.type !== 'action') {
+    diagnose(cursor, 'misplaced-modifier', `"${line}" must follow an action step`, {
+      suggestion: 'Put it below the action whose resolver calls it should apply to'
+    });
+    return;
+  }
+  
+  const duration = (text) => {
+    const ms = parseDuration(text);
+    if (ms === null) {
+      diagnose(cursor, 'invalid-duration', `Invalid duration "${text}"`, {
+        severity: 'error',
+        suggestion: 'Use a number with ms, s or m, e.g. 500ms, 2s, 1m'
+      });
     }
-  });
+    return ms;
+  };
   
-  // Check for common issues
-  if (!workflow.name) {
-    workflow.__warnings.push('Workflow name not found');
+  const retries = line.match(RETRIES);
+  const timeout = line.match(TIMEOUT);
+  const onFailure = line.match(ON_FAILURE);
+  
+  if (retries) {
+    step.constraints.retries = parseInt(retries[1], 10);
+    if (retries[2]) {
+      const backoffMs = duration(retries[2]);
+      if (backoffMs !== null) step.constraints.backoffMs = backoffMs;
+    }
+  } else if (timeout) {
+    const timeoutMs = duration(timeout[1]);
+    if (timeoutMs !== null) step.constraints.timeoutMs = timeoutMs;
+  } else if (onFailure) {
+    step.constraints.onFailure = onFailure[2] ? { type: 'stop' } : { type: 'use', agent: onFailure[1] };
+  }
+}
+
+// "2s", "500ms", "1m"; a bare number is seconds
+function parseDuration(text) {
+  const match = text.match(DURATION);
+  if (!match) return null;
+  const factor = { ms: 1, s: 1000, m: 60000 }[(match[2] || 's').toLowerCase()];
+  const ms = Math.round(parseFloat(match[1]) * factor);
+  return ms > 0 ? ms : null;
+}
+
+// "- Summarizer may llm.generate, network" / "- Summarizer may not notify"
+function parseCapabilityGrant(cursor, workflow, resolverName, deny, list) {
+  const capabilities = list.split(',').map(c => c.trim()).filter(c => c !== '');
+  const invalid = capabilities.filter(c => !CAPABILITY_NAME.test(c));
+  if (!capabilities.length || invalid.length) {
+    diagnose(cursor, 'invalid-capability', `Invalid capability list "${list}"`, {
+      severity: 'error',
+      suggestion: `Use: - ${resolverName} may${deny ? ' not' : ''} notify, llm.generate`
+    });
+    return;
   }
   
-  if (workflow.steps.length === 0) {
-    workflow.__warnings.push('No steps found in workflow');
+  const grants = workflow.capabilityGrants[resolverName] ||= { allow: [], deny: [] };
+  grants[deny ? 'deny' : 'allow'].push(...capabilities);
+}
+
+// Secret names are context paths; "for" lists the resolvers that may receive them
+function parseSecret(cursor, workflow, names, resolvers) {
+  const list = names.split(',').map(n => n.trim().replace(/^\{(.*)\}$/, '$1')).filter(n => n !== '');
+  const granted = resolvers.split(',').map(r => r.trim()).filter(r => r !== '');
+  if (!list.length || list.some(n => !CONTEXT_PATH.test(n))) {
+    diagnose(cursor, 'invalid-secret', `Invalid Secret declaration "${names}"`, {
+      severity: 'error',
+      suggestion: 'Use: Secret api_token [for ResolverName]'
+    });
+    return;
   }
   
-  if (workflow.returnValues.length === 0 && workflow.steps.length > 0) {
-    workflow.__warnings.push('No Return statement found');
+  for (const name of list) {
+    const secret = workflow.secrets.find(s => s.name === name);
+    if (secret) {
+      secret.resolvers.push(...granted.filter(r => !secret.resolvers.includes(r)));
+    } else {
+      workflow.secrets.push({ name, resolvers: granted });
+    }
+    if (workflow.__layout) workflow.__layout.secretLines[name] ??= cursor.index;
+  }
+}
+
+// Widens the context an agent's resolvers see beyond what each step references
+function parseShare(cursor, workflow, agent, vars) {
+  const list = vars.split(',').map(v => v.trim().replace(/^\{(.*)\}$/, '$1')).filter(v => v !== '');
+  if (!list.length || list.some(v => !CONTEXT_PATH.test(v))) {
+    diagnose(cursor, 'invalid-share', `Invalid Share declaration "${vars}"`, {
+      severity: 'error',
+      suggestion: `Use: Share with ${agent}: var1, var2`
+    });
+    return;
   }
   
-  return workflow;
+  const share = workflow.shares.find(s => s.agent === agent);
+  if (share) {
+    share.vars.push(...list.filter(v => !share.vars.includes(v)));
+  } else {
+    workflow.shares.push({ agent, vars: list });
+  }
+  if (workflow.__layout) workflow.__layout.shareLines[agent] ??= cursor.index;
 }
 
-function validate(workflow) {
-  const errors = [];
+function parsePersist(cursor, match, stepNumber) {
+  const [, verb, source, toDb, destination] = match;
+  const append = verb.toLowerCase() === 'append';
   
-  if (workflow.maxGenerations !== null && workflow.maxGenerations <= 0) {
-    errors.push('max_generations must be positive');
+  if (toDb) {
+    // The collection name ends up in SQL, so only plain identifiers are accepted
+    if (!COLLECTION_NAME.test(destination)) {
+      diagnose(cursor, 'invalid-collection', `Invalid DB collection "${destination}"`, {
+        severity: 'error',
+        suggestion: 'Use letters, digits and underscores only'
+      });
+    }
+    if (append) {
+      diagnose(cursor, 'append-to-db', 'Append to db behaves like Persist: DB writes always insert', {
+        suggestion: `Persist {${source}} to db "${destination}"`
+      });
+    }
+    return { type: 'persist-db', stepNumber, line: cursor.index, source, collection: destination };
+  }
+  
+  if (destination.trim() === '') {
+    diagnose(cursor, 'invalid-destination', 'Persist has an empty destination', { severity: 'error' });
+  } else if (path.isAbsolute(destination) || destination.split(/[\\/]/).includes('..')) {
+    diagnose(cursor, 'invalid-destination', `Persist destination "${destination}" must be a relative path inside the output root`, {
+      severity: 'error',
+      suggestion: 'Use a path such as "output/result.json"'
+    });
   }
   
-  return errors;
+  return { type: 'persist', stepNumber, line: cursor.index, source, destination, mode: append ? 'append' : 'overwrite' };
+}
+
+// with {x} sends a value, with "text {x}" a string, with a, b.c an object of fields
+function parseEmitPayload(text) {
+  const quoted = text.match(/^"(.*)"$/);
+  if (quoted) {
+    return { type: 'text', template: quoted[1] };
+  }
+  
+  const paths = text.split(',').map(p => p.trim().replace(/^\{(.+)\}$/, '$1').trim()).filter(p => p !== '');
+  if (paths.length === 1 && /^\{.+\}$/.test(text)) {
+    return { type: 'ref', path: paths[0] };
+  }
+  return { type: 'fields', paths };
+}
+
+// An If body runs until End, Else or Else If; an Else If shares the End of its If
+// and is marked `elseIf` so it can be told apart from an If nested inside Else
+function parseIf(cursor, workflow, conditionText, stepNumber, elseIf = false) {
+  const node = {
+    type: 'if',
+    stepNumber: stepNumber,
+    line: cursor.index,
+    condition: cleanCondition(conditionText),
+    body: [],
+    elseBody: [],
+    elseLine: null,
+    endLine: null
+  };
+  if (elseIf) node.elseIf = true;
+  checkCondition(cursor, node.condition);
+  
+  const block = {
+    label: 'If',
+    isEnd: line => IF_END.test(line) || ELSE.test(line) || ELSE_IF.test(line),
+    line: cursor.index
+  };
+  node.body = parseBlock(cursor, workflow, block);
+  
+  const closedBy = block.closedBy || '';
+  const elseIfMatch = closedBy.match(ELSE_IF);
+  if (elseIfMatch) {
+    node.elseLine = block.closedLine;
+    const chained = parseIf(cursor, workflow, elseIfMatch[1], stepNumber, true);
+    node.elseBody = [chained];
+    node.endLine = chained.endLine;
+  } else if (ELSE.test(closedBy)) {
+    const elseBlock = { label: 'Else', isEnd: line => IF_END.test(line), line: cursor.index };
+    node.elseLine = block.closedLine;
+    node.elseBody = parseBlock(cursor, workflow, elseBlock);
+    node.endLine = elseBlock.closedLine || null;
+  } else {
+    node.endLine = block.closedLine || null;
+  }
+  
+  return node;
+}
+
+function cleanCondition(text) {
+  return text.trim().replace(/\s+then:?$/i, '').replace(/:$/, '').trim();
+}
+
+// Conditions are evaluated at run time; surface syntax errors while parsing
+function checkCondition(cursor, condition) {
+  try {
+    parseCondition(condition);
+  } catch (e) {
+    const offset = (cursor.lines[cursor.index - 1] || '').indexOf(condition);
+    diagnose(cursor, 'invalid-condition', `Invalid condition: ${e.message}`, {
+      severity: 'error',
+      column: offset >= 0 && e.position !== undefined ? offset + e.position + 1 : null
+    });
+  }
+}
+
+// Split "cond, Action" on the first comma outside quotes, braces and brackets
+function splitInlineIf(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[' || ch === '(') {
+      depth++;
+    } else if (ch === '}' || ch === ']' || ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      const action = text.slice(i + 1).trim();
+      if (!action) return null;
+      return { condition: cleanCondition(text.slice(0, i)), action };
+    }
+  }
+  return null;
+}
+
+function createAction(actionRaw, stepNumber, line) {
+  return {
+    type: 'action',
+    stepNumber: stepNumber,
+    line: line,
+    actionRaw: actionRaw,
+    saveAs: null,
+    constraints: {}
+  };
+}
+
+// The node that receives Save as and continuation lines for a pending step
+function actionTarget(step) {
+  return step.type === 'if' && step.inline ? step.body[0] : step;
+}
+
+// Extract a trailing "Save as x" written on the same line as the action,
+// then describe the action for resolvers (see src/actions.js)
+function finalizeStep(step) {
+  if (step.type === 'if' && step.inline) {
+    finalizeStep(step.body[0]);
+  }
+  if (step.actionRaw && step.saveAs === null) {
+    const saveInAction = step.actionRaw.match(/(.+?)\s+Save as\s+(.+)$/i);
+    if (saveInAction) {
+      step.actionRaw = saveInAction[1].trim();
+      step.saveAs = saveInAction[2].trim();
+    }
+  }
+  if (step.type === 'action') {
+    step.descriptor = parseAction(step.actionRaw);
+  }
+  return step;
+}
+
+// -----------------------------
+// Layout (kept for the printer)
+// -----------------------------
+function recordTrivia(workflow, line, lineNumber) {
+  if (!workflow.__layout) return;
+  if (line === '') {
+    workflow.__layout.blankLines.push(lineNumber);
+  } else {
+    workflow.__layout.comments.push({ line: lineNumber, text: line });
+  }
+}
+
+function setLayoutLine(workflow, key, lineNumber) {
+  if (workflow.__layout) workflow.__layout[key] = lineNumber;
+}
+
+// -----------------------------
+// Diagnostics
+// -----------------------------
+/**
+ * Records a diagnostic on the workflow. `line` is 1-based (null for
+ * whole-file issues); the column defaults to the first non-blank character.
+ */
+function diagnose(cursor, code, message, { line = cursor.index, column = null, severity = 'warning', suggestion = null } = {}) {
+  const source = line ? cursor.lines[line - 1] || '' : '';
+  const diagnostic = {
+    code,
+    severity: cursor.strict && STRICT_CODES.has(code) ? 'error' : severity,
+    message,
+    line: line || null,
+    column: column || (line ? source.search(/\S|$/) + 1 : null),
+    source: source.trim(),
+    suggestion
+  };
+  
+  cursor.workflow.__diagnostics.push(diagnostic);
+  cursor.workflow.__warnings.push(line ? `Line ${line}: ${message}` : message);
+  return diagnostic;
+}
+
+// Suggest the keyword a misspelt first word was probably meant to be
+function suggestKeyword(line) {
+  const [first] = line.split(/\s+/);
+  if (/^(?:End|Else|Otherwise)\b/i.test(line)) {
+    return `"${first}" has no matching block to close; remove it or open the block`;
+  }
+  
+  let best = null;
+  for (const keyword of KEYWORDS) {
+    const distance = editDistance(first.toLowerCase(), keyword.toLowerCase());
+    const limit = keyword.length <= 4 ? 1 : 2;
+    if (distance > 0 && distance <= limit && (!best || distance < best.distance)) {
+      best = { keyword, distance };
+    }
+  }
+  return best ? `Did you mean "${best.keyword}"?` : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Static semantic checks; see src/validator.js for the list.
+ * Returns diagnostics in the same shape as `workflow.__diagnostics`.
+ */
+function validate(workflow) {
+  return validateWorkflow(workflow);
 }
 
 module.exports = { parse, parseFromFile, parseLines, validate };
\ No newline at end of file
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File output for `Persist {x} to "file"` and `Append {x} to "file"`.
+ * The format follows the extension: .json, .jsonl / .ndjson, .csv, anything else as text.
+ */
+
+/**
+ * Resolves a destination inside the output root, rejecting paths that escape it
+ * (including through symlinked directories).
+ * @param {string} root - allowed output root
+ * @param {string} destination - path from the workflow
+ * @returns {string} absolute output path
+ */
+function resolveOutputPath(root, destination) {
+  const rootPath = path.resolve(root);
+  const outputPath = path.resolve(rootPath, destination);
+
+  const escapes = (target, base) => {
+    const rel = path.relative(base, target);
+    // "..notes.txt" is a file name, not a step up
+    return rel === '' || rel === '..' || rel.startsWith('..' + path.sep) || path.isAbsolute(rel);
+  };
+
+  if (escapes(outputPath, rootPath)) {
+    throw new Error(`[O-Lang] Persist destination "${destination}" is outside the output root ${rootPath}`);
+  }
+
+  // Compare real paths of the deepest existing ancestor to catch symlinks
+  let existing = path.dirname(outputPath);
+  while (!fs.existsSync(existing)) existing = path.dirname(existing);
+  const realRoot = fs.existsSync(rootPath) ? fs.realpathSync(rootPath) : rootPath;
+  const realExisting = fs.realpathSync(existing);
+  if (realExisting !== realRoot && escapes(realExisting, realRoot)) {
+    throw new Error(`[O-Lang] Persist destination "${destination}" resolves outside the output root ${rootPath}`);
+  }
+
+  return outputPath;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRows(value) {
+  const rows = Array.isArray(value) ? value : [value];
+  return rows.map(row => (row !== null && typeof row === 'object' ? row : { value: row }));
+}
+
+function readCsvHeader(file) {
+  const [header] = fs.readFileSync(file, 'utf8').split(/\r?\n/, 1);
+  return header ? header.split(',').map(h => h.replace(/^"|"$/g, '')) : null;
+}
+
+/**
+ * Writes (or appends) a value to a file in the format implied by its extension.
+ * @param {string} outputPath
+ * @param {any} value
+ * @param {object} [options]
+ * @param {boolean} [options.append=false]
+ */
+function writeOutput(outputPath, value, { append = false } = {}) {
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const ext = path.extname(outputPath).toLowerCase();
+  const exists = fs.existsSync(outputPath) && fs.statSync(outputPath).size > 0;
+
+  switch (ext) {
+    case '.json': {
+      let content = value;
+      if (append && exists) {
+        const previous = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        // Appending keeps the file a single JSON array; list values add one entry per item
+        const entries = Array.isArray(value) ? value : [value];
+        content = Array.isArray(previous) ? [...previous, ...entries] : [previous, ...entries];
+      }
+      fs.writeFileSync(outputPath, JSON.stringify(content, null, 2), 'utf8');
+      return;
+    }
+
+    case '.jsonl':
+    case '.ndjson': {
+      const lines = (Array.isArray(value) ? value : [value]).map(v => JSON.stringify(v)).join('\n') + '\n';
+      if (append) fs.appendFileSync(outputPath, lines, 'utf8');
+      else fs.writeFileSync(outputPath, lines, 'utf8');
+      return;
+    }
+
+    case '.csv': {
+      const rows = toCsvRows(value);
+      let columns = append && exists ? readCsvHeader(outputPath) : null;
+      const writeHeader = !columns;
+      if (!columns) {
+        columns = [];
+        rows.forEach(row => Object.keys(row).forEach(k => !columns.includes(k) && columns.push(k)));
+      }
+
+      const body = rows.map(row => columns.map(c => csvCell(row[c])).join(',')).join('\n') + '\n';
+      const header = writeHeader ? columns.map(csvCell).join(',') + '\n' : '';
+      if (append) fs.appendFileSync(outputPath, header + body, 'utf8');
+      else fs.writeFileSync(outputPath, header + body, 'utf8');
+      return;
+    }
+
+    default: {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (append) fs.appendFileSync(outputPath, text + '\n', 'utf8');
+      else fs.writeFileSync(outputPath, text, 'utf8');
+    }
+  }
+}
+
+module.exports = { resolveOutputPath, writeOutput };
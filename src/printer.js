@@ -0,0 +1,302 @@
+const { parse } = require('./parser');
+const { ParseError } = require('./errors');
+
+/**
+ * Writes a workflow AST back as O-Lang source in one canonical layout:
+ * header (Workflow, Allow resolvers, Constraint, On error, Secret, Share with) first, then the steps
+ * renumbered per block with two-space indentation, `Save as` on its own
+ * line and `End` aligned with the step that opened the block, then Return.
+ *
+ * Comments and blank-line groups survive when the AST was parsed with
+ * `{ comments: true }`: each comment stays above the statement that
+ * followed it in the source, and runs of blank lines collapse to one.
+ */
+function print(workflow, { indent = '  ' } = {}) {
+  const layout = workflow.__layout || { comments: [], blankLines: [] };
+  const blankLines = new Set(layout.blankLines);
+  const out = [];
+
+  // Every printed statement that has a source line can carry comments
+  const anchors = collectAnchors(workflow);
+  const attached = new Map();
+  const trailing = [];
+  for (const comment of [...layout.comments].sort((a, b) => a.line - b.line)) {
+    const anchor = anchors.find(line => line > comment.line);
+    if (anchor === undefined) {
+      trailing.push(comment);
+    } else {
+      if (!attached.has(anchor)) attached.set(anchor, []);
+      attached.get(anchor).push(comment);
+    }
+  }
+
+  const pad = depth => indent.repeat(depth);
+
+  const blank = () => {
+    if (out.length && out[out.length - 1] !== '') out.push('');
+  };
+
+  // Prints a statement with its comments; keepBlank preserves a blank line above it
+  const emit = (line, depth, text, keepBlank = false) => {
+    const comments = (line && attached.get(line)) || [];
+    const first = comments.length ? comments[0].line : line;
+    if (keepBlank && first && blankLines.has(first - 1)) blank();
+    comments.forEach(c => out.push(pad(depth) + c.text));
+    out.push(pad(depth) + text);
+  };
+
+  const saveAs = (name, depth) => {
+    if (name) out.push(`${pad(depth + 1)}Save as ${name}`);
+  };
+
+  const modifiers = (constraints = {}, depth) => {
+    const { retries, backoffMs, timeoutMs, onFailure } = constraints;
+    if (retries !== undefined) {
+      const backoff = backoffMs ? ` backoff ${printDuration(backoffMs)}` : '';
+      out.push(`${pad(depth + 1)}With retries ${retries}${backoff}`);
+    }
+    if (timeoutMs) out.push(`${pad(depth + 1)}Timeout ${printDuration(timeoutMs)}`);
+    if (onFailure) {
+      out.push(`${pad(depth + 1)}On failure ${onFailure.type === 'stop' ? 'stop' : `use ${onFailure.agent}`}`);
+    }
+  };
+
+  const printBlock = (steps, depth) => {
+    let number = 0;
+    steps.forEach((step, i) => {
+      const numbered = !UNNUMBERED.has(step.type);
+      if (numbered) number++;
+      printStep(step, depth, numbered ? `Step ${number}: ` : '', i > 0);
+    });
+  };
+
+  const printStep = (step, depth, prefix, keepBlank) => {
+    switch (step.type) {
+      case 'action':
+        emit(step.line, depth, prefix + step.actionRaw, keepBlank);
+        saveAs(step.saveAs, depth);
+        modifiers(step.constraints, depth);
+        return;
+
+      case 'if': {
+        if (step.inline) {
+          const action = step.body[0];
+          emit(step.line, depth, `${prefix}If ${step.condition}, ${action.actionRaw}`, keepBlank);
+          saveAs(action.saveAs, depth);
+          modifiers(action.constraints, depth);
+          return;
+        }
+        emit(step.line, depth, `${prefix}If ${step.condition}`, keepBlank);
+        printBlock(step.body, depth + 1);
+        let node = step;
+        while (node.elseBody.length === 1 && node.elseBody[0].elseIf) {
+          node = node.elseBody[0];
+          emit(node.line, depth, `Else If ${node.condition}`);
+          printBlock(node.body, depth + 1);
+        }
+        if (node.elseBody.length) {
+          emit(node.elseLine, depth, 'Else');
+          printBlock(node.elseBody, depth + 1);
+        }
+        emit(node.endLine, depth, 'End');
+        return;
+      }
+
+      case 'parallel':
+        emit(step.line, depth, `${prefix}Run in parallel`, keepBlank);
+        printBlock(step.steps, depth + 1);
+        emit(step.endLine, depth, 'End');
+        return;
+
+      case 'foreach': {
+        const index = step.index && step.index !== `${step.item}_index` ? `, ${step.index}` : '';
+        emit(step.line, depth, `${prefix}For each ${step.item}${index} in {${step.collection}}`, keepBlank);
+        printBlock(step.steps, depth + 1);
+        emit(step.endLine, depth, 'End');
+        saveAs(step.saveAs, depth);
+        return;
+      }
+
+      case 'repeat': {
+        const bound = step.maxIterations ? ` at most ${step.maxIterations} times` : '';
+        emit(step.line, depth, `${prefix}Repeat until ${step.condition}${bound}`, keepBlank);
+        printBlock(step.steps, depth + 1);
+        emit(step.endLine, depth, 'End');
+        saveAs(step.saveAs, depth);
+        return;
+      }
+
+      case 'connect':
+        emit(step.line, depth, `Connect "${step.resource}" using "${step.endpoint}"`, keepBlank);
+        return;
+
+      case 'agent_use':
+        emit(step.line, depth, `Agent "${step.logicalName}" uses "${step.resource}"`, keepBlank);
+        return;
+
+      case 'prompt':
+        emit(step.line, depth, `${prefix}Prompt user to "${step.question}"`, keepBlank);
+        saveAs(step.saveAs, depth);
+        return;
+
+      case 'emit':
+        emit(step.line, depth, `${prefix}Emit "${step.event}"${printPayload(step.payload)}`, keepBlank);
+        return;
+
+      case 'persist': {
+        const verb = step.mode === 'append' ? 'Append' : 'Persist';
+        emit(step.line, depth, `${prefix}${verb} {${step.source}} to "${step.destination}"`, keepBlank);
+        return;
+      }
+
+      case 'persist-db':
+        emit(step.line, depth, `${prefix}Persist {${step.source}} to db "${step.collection}"`, keepBlank);
+        return;
+
+      case 'debrief':
+        emit(step.line, depth, `${prefix}Debrief ${step.agent} with "${step.message}"`, keepBlank);
+        return;
+
+      case 'evolve':
+        emit(step.line, depth, `${prefix}Evolve ${step.targetResolver} using feedback: "${step.feedback}"`, keepBlank);
+        saveAs(step.saveAs, depth);
+        return;
+    }
+    throw new Error(`[O-Lang] Cannot print step type "${step.type}"`);
+  };
+
+  // Header
+  if (workflow.name) {
+    const params = workflow.parameters.length ? ` with ${workflow.parameters.join(', ')}` : '';
+    emit(layout.workflowLine, 0, `Workflow "${workflow.name}"${params}`);
+  }
+
+  const resolverEntries = allowEntries(workflow);
+  if (resolverEntries.length) {
+    blank();
+    emit(layout.allowResolversLine, 0, 'Allow resolvers:');
+    resolverEntries.forEach(({ line, text }) => emit(line, 0, text));
+  }
+
+  if (workflow.maxGenerations !== null && workflow.maxGenerations !== undefined) {
+    blank();
+    emit(layout.constraintLine, 0, `Constraint: max_generations = ${workflow.maxGenerations}`);
+  }
+
+  if (workflow.onError) {
+    blank();
+    emit(layout.onErrorLine, 0, `On error: ${workflow.onError}`);
+  }
+
+  if (workflow.secrets && workflow.secrets.length) {
+    blank();
+    workflow.secrets.forEach(({ name, resolvers }) => {
+      const granted = resolvers.length ? ` for ${resolvers.join(', ')}` : '';
+      emit((layout.secretLines || {})[name], 0, `Secret ${name}${granted}`);
+    });
+  }
+
+  if (workflow.shares && workflow.shares.length) {
+    blank();
+    workflow.shares.forEach(({ agent, vars }) => {
+      emit((layout.shareLines || {})[agent], 0, `Share with ${agent}: ${vars.join(', ')}`);
+    });
+  }
+
+  // Steps
+  if (workflow.steps.length) {
+    blank();
+    printBlock(workflow.steps, 0);
+  }
+
+  if (workflow.returnValues.length) {
+    blank();
+    emit(workflow.returnLine, 0, `Return ${workflow.returnValues.join(', ')}`);
+  }
+
+  if (trailing.length) {
+    if (blankLines.has(trailing[0].line - 1)) blank();
+    trailing.forEach(c => out.push(c.text));
+  }
+
+  return out.join('\n') + '\n';
+}
+
+// The lines of the Allow resolvers list, with the source line of each. A
+// resolver with only "may not" lines is not allowed, so it gets no plain entry.
+function allowEntries(workflow) {
+  const lines = (workflow.__layout || {}).resolverLines || {};
+  const capabilityGrants = workflow.capabilityGrants || {};
+  const firstLine = name => Math.min(...[name, `${name} may`, `${name} may not`].map(key => lines[key] ?? Infinity));
+  const names = [...new Set([...workflow.allowedResolvers, ...Object.keys(capabilityGrants)])]
+    .sort((a, b) => firstLine(a) - firstLine(b) || 0);
+  return names.flatMap(name => {
+    const grants = capabilityGrants[name] || { allow: [], deny: [] };
+    const entries = [];
+    if (!grants.allow.length && workflow.allowedResolvers.includes(name)) {
+      entries.push({ line: lines[name], text: `- ${name}` });
+    }
+    if (grants.allow.length) entries.push({ line: lines[`${name} may`], text: `- ${name} may ${grants.allow.join(', ')}` });
+    if (grants.deny.length) entries.push({ line: lines[`${name} may not`], text: `- ${name} may not ${grants.deny.join(', ')}` });
+    return entries;
+  });
+}
+
+// Bindings are declarations, so they are printed without a step number
+const UNNUMBERED = new Set(['connect', 'agent_use']);
+
+function printDuration(ms) {
+  if (ms % 60000 === 0) return `${ms / 60000}m`;
+  if (ms % 1000 === 0) return `${ms / 1000}s`;
+  return `${ms}ms`;
+}
+
+function printPayload(payload) {
+  if (!payload) return '';
+  switch (payload.type) {
+    case 'ref': return ` with {${payload.path}}`;
+    case 'text': return ` with "${payload.template}"`;
+    case 'fields': return ` with ${payload.paths.join(', ')}`;
+  }
+  return '';
+}
+
+// Source lines of everything the printer writes, in source order
+function collectAnchors(workflow) {
+  const layout = workflow.__layout || {};
+  const lines = [
+    layout.workflowLine,
+    layout.allowResolversLine,
+    layout.constraintLine,
+    layout.onErrorLine,
+    ...allowEntries(workflow).map(entry => entry.line),
+    ...Object.values(layout.secretLines || {}),
+    ...Object.values(layout.shareLines || {}),
+    workflow.returnLine
+  ];
+
+  const walk = steps => {
+    for (const step of steps) {
+      lines.push(step.line, step.elseLine, step.endLine);
+      if (step.body) walk(step.body);
+      if (step.elseBody) walk(step.elseBody);
+      if (step.steps) walk(step.steps);
+    }
+  };
+  walk(workflow.steps);
+
+  return [...new Set(lines.filter(Boolean))].sort((a, b) => a - b);
+}
+
+/**
+ * Formats O-Lang source. Files with parse errors are not rewritten:
+ * a ParseError listing them is thrown instead.
+ */
+function format(content, filename = '<unknown>') {
+  const workflow = parse(content, filename, { comments: true });
+  const errors = workflow.__diagnostics.filter(d => d.severity === 'error');
+  if (errors.length) throw new ParseError(errors, filename);
+  return print(workflow);
+}
+
+module.exports = { print, format };
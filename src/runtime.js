@@ -1,25 +1,166 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseCondition, evaluateCondition } = require('./conditions');
+const { evaluateExpression, ExpressionSyntaxError } = require('./math');
+const { resolveOutputPath, writeOutput } = require('./persist');
+const { AST_VERSION, validateAst, migrateAst } = require('./ast');
+const { parseAction } = require('./actions');
+const { hashWorkflow } = require('./history');
+const { AuditLog } = require('./audit');
+const { Tracer } = require('./tracing');
+const { stepRefs } = require('./validator');
+const { MASK, collectSecrets, secretValues, redact: redactSecrets, redactText, omitPaths } = require('./secrets');
+const {
+  OLangError,
+  AstValidationError,
+  PolicyViolationError,
+  ResolverError,
+  ResolverTimeoutError,
+  ConstraintError
+} = require('./errors');
+
+// A resolver answers to its resolverName and to any declared aliases
+function resolverNames(resolver) {
+  const aliases = resolver?.aliases || resolver?.manifest?.aliases || [];
+  return [resolver?.resolverName || resolver?.name, ...aliases].filter(Boolean);
+}
+
+/**
+ * Capabilities a resolver declares for an action verb. `capabilities` is
+ * either a list (every invocation may use all of them) or a map of
+ * capability -> verbs, e.g. { notify: ['Notify'], 'llm.generate': ['*'] }.
+ */
+function requiredCapabilities(resolver, verb) {
+  const declared = resolver?.capabilities || resolver?.manifest?.capabilities;
+  if (!declared) return [];
+  if (Array.isArray(declared)) return declared;
+
+  const wanted = String(verb || '').toLowerCase();
+  return Object.entries(declared)
+    .filter(([, verbs]) => [].concat(verbs).some(v => v === '*' || String(v).toLowerCase() === wanted))
+    .map(([capability]) => capability);
+}
+
+// Rejects with onTimeout() when `promise` takes longer than `ms` (no limit when ms is falsy)
+function withTimeout(promise, ms, onTimeout) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(onTimeout()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Step errors already in the step trace, so enclosing blocks don't record them again
+const tracedErrors = new WeakSet();
+
+// Gives any error thrown by a step the step's position
+function asStepError(err, step) {
+  const error = err instanceof OLangError ? err : new OLangError(err.message, { cause: err });
+  if (error.stepNumber === undefined) error.stepNumber = step.stepNumber;
+  if (error.line === undefined) error.line = step.line === undefined ? null : step.line;
+  return error;
+}
+
+// Freezes a value and everything inside it
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+// A detached copy of a context value: structuredClone, or a JSON round-trip
+// for values holding functions; undefined when neither can copy it
+function copyForView(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? undefined : JSON.parse(json);
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+// "fs.*" covers "fs.write"; "*" covers everything
+function capabilityMatches(pattern, capability) {
+  if (pattern === '*' || pattern === capability) return true;
+  return pattern.endsWith('.*') && capability.startsWith(pattern.slice(0, -1));
+}
+
+const ON_ERROR_MODES = ['stop', 'continue', 'collect'];
+
+// Debrief deliveries take no step modifiers; they are bounded like HTTP resolver calls
+const DEBRIEF_TIMEOUT_MS = 30000;
 
 class RuntimeAPI {
-  constructor({ verbose = false } = {}) {
+  constructor({
+    verbose = false,
+    inputProvider = null,
+    listeners = {},
+    outputRoot = process.env.OLANG_OUTPUT_ROOT || process.cwd(),
+    fallbackToChain = false,
+    onError = 'stop',
+    checkpointStore = null,
+    history = null,
+    audit = null,
+    tracer = null,
+    secrets = [],
+    runId = null,
+    log = console.log
+  } = {}) {
     this.context = {};
     this.resources = {};
     this.agentMap = {};
     this.events = {};
     this.workflowSteps = [];
     this.allowedResolvers = new Set();
+    this.capabilityGrants = {};
     this.verbose = verbose;
+    this.log = log; // Human-readable output; the CLI sends it to stderr when stdout carries events
+    this.inputProvider = inputProvider;
+    this.debriefs = [];
+    this.fallbackToChain = fallbackToChain; // Unmatched agents may use the first-match resolver chain
+    if (!ON_ERROR_MODES.includes(onError)) {
+      throw new Error(`[O-Lang] Unknown onError mode "${onError}" (expected ${ON_ERROR_MODES.join(', ')})`);
+    }
+    this.defaultOnError = onError; // Used when the workflow has no "On error:" line
+    this.onError = onError;
+    this.stepErrors = []; // Errors gathered by "On error: collect"
+    this.checkpointStore = checkpointStore; // Saves progress after every top-level step (see src/checkpoint)
+    this.runId = runId || crypto.randomUUID();
+    this.runCreatedAt = null;
+    this.history = history; // Records every run (see src/history)
+    this.stepTrace = []; // { stepNumber, output, status, timings, ... } per finished step
+    this.runStartedAt = null;
+    this.outputRoot = path.resolve(outputRoot); // Persist steps may only write below this directory
     this.__warnings = [];
 
-    const logsDir = path.resolve('./logs');
-    if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
-    this.disallowedLogFile = path.join(logsDir, 'disallowed_resolvers.json');
+    // Policy decisions go to the hash-chained audit log when one is given or
+    // OLANG_AUDIT_LOG is set (false disables it either way)
+    this.audit = audit === false ? null : audit || AuditLog.fromEnv();
     this.disallowedAttempts = [];
+    this.tracer = tracer || new Tracer(); // Spans for the run, each step and each resolver call
+    this.currentSpan = null;
+    this.secretOption = secrets; // Names, or { name: [resolvers granted it] }, added to the workflow's Secret lines
+    this.secrets = collectSecrets([], secrets);
+    this.shares = {}; // agent or resolver -> extra context paths, from "Share with"
 
     // ✅ NEW: Database client setup
     this.dbClient = null;
     this._initDbClient();
+
+    // Subscriptions passed in by embedding apps: { eventName: fn | [fn] }
+    for (const [eventName, cbs] of Object.entries(listeners)) {
+      [].concat(cbs).forEach(cb => this.on(eventName, cb));
+    }
   }
 
   // ✅ NEW: Initialize database client
@@ -84,7 +225,7 @@ class RuntimeAPI {
       }
       
       if (this.verbose) {
-        console.log(`🗄️  Database client initialized: ${dbType}`);
+        this.log(`🗄️  Database client initialized: ${dbType}`);
       }
     } catch (e) {
       this.addWarning(`Failed to initialize DB client: ${e.message}`);
@@ -96,9 +237,62 @@ class RuntimeAPI {
   // Parser/runtime warnings
   // -----------------------------
   addWarning(message) {
-    const entry = { message, timestamp: new Date().toISOString() };
+    const entry = { message: this.redact(message), timestamp: new Date().toISOString() };
     this.__warnings.push(entry);
-    if (this.verbose) console.warn(`[O-Lang WARNING] ${message}`);
+    if (this.verbose) console.warn(`[O-Lang WARNING] ${entry.message}`);
+  }
+
+  // -----------------------------
+  // Secrets
+  // -----------------------------
+  // Copy of `value` with every secret masked, for anything the kernel writes out
+  redact(value) {
+    if (!this.secrets.size) return value;
+    const names = [...this.secrets.keys()];
+    return redactSecrets(value, { names, values: secretValues(names, p => this.getNested(this.context, p)) });
+  }
+
+  // -----------------------------
+  // Context views
+  // -----------------------------
+  /**
+   * The read-only slice of context a resolver gets for a step: the variables
+   * the step references, the ones a "Share with" line gives its agent or the
+   * resolver, and workflow_name. Scratch keys such as __resolver_N never leave.
+   */
+  contextView(step, resolver, invocation = {}) {
+    const recipients = [...resolverNames(resolver), invocation.agent, invocation.resource?.name].filter(Boolean);
+    const paths = [
+      'workflow_name',
+      ...stepRefs(step),
+      ...recipients.flatMap(name => this.shares[name] || [])
+    ];
+
+    // Every value is copied before it goes in, so freezing the view never
+    // touches the live context or the caller's inputs
+    const view = {};
+    for (const p of new Set(paths.map(p => p.trim()))) {
+      const value = this.getNested(this.context, p);
+      if (value === undefined) continue;
+      const copy = copyForView(value);
+      if (copy === undefined) {
+        this.addWarning(`"${p}" cannot be copied for resolver ${resolverNames(resolver)[0] || 'Resolver'} and was left out of its context`);
+        continue;
+      }
+      const keys = p.split('.');
+      const last = keys.pop();
+      const parent = keys.reduce((o, k) => (o[k] = o[k] && typeof o[k] === 'object' ? o[k] : {}), view);
+      parent[last] = copy;
+    }
+    return deepFreeze(view);
+  }
+
+  // Secrets that have not been granted to this resolver
+  withheldSecrets(resolver) {
+    const names = resolverNames(resolver);
+    return [...this.secrets]
+      .filter(([, granted]) => !granted.some(name => names.includes(name)))
+      .map(([name]) => name);
   }
 
   getWarnings() {
@@ -119,13 +313,69 @@ class RuntimeAPI {
     }
   }
 
+  /**
+   * Emits a workflow event (from an `Emit` step) to its named listeners,
+   * and the full record to "*" listeners such as the CLI's event sinks.
+   * Listeners may forward events anywhere (webhooks, stdout), so secrets
+   * in the payload are masked first.
+   */
+  emitWorkflowEvent(eventName, payload, step) {
+    payload = this.redact(payload);
+    const record = {
+      event: eventName,
+      payload,
+      workflow: this.context.workflow_name,
+      stepNumber: step.stepNumber,
+      timestamp: new Date().toISOString()
+    };
+    this.emit(eventName, payload);
+    this.emit('*', record);
+    return record;
+  }
+
+  buildEventPayload(payload) {
+    if (!payload) return null;
+    switch (payload.type) {
+      case 'ref':
+        return this.getNested(this.context, payload.path);
+      case 'text':
+        return this.interpolate(payload.template);
+      case 'fields': {
+        const fields = {};
+        for (const p of payload.paths) fields[p] = this.getNested(this.context, p);
+        return fields;
+      }
+    }
+    throw new Error(`[O-Lang] Unknown Emit payload type: ${payload.type}`);
+  }
+
   // -----------------------------
-  // Disallowed resolver handling
+  // Policy decisions
   // -----------------------------
-  logDisallowedResolver(resolverName, stepAction) {
+  // Records a decision ('allow' or 'deny') in the audit log
+  auditDecision(event, decision, details = {}) {
+    if (!this.audit) return;
+    this.audit.record({
+      event,
+      decision,
+      runId: this.runId,
+      workflow: this.context.workflow_name || null,
+      ...this.redact(details)
+    });
+  }
+
+  logDisallowedResolver(resolverName, stepAction, capability = null, stepNumber = null, reason = null) {
     const entry = { resolver: resolverName, step: stepAction, timestamp: new Date().toISOString() };
-    fs.appendFileSync(this.disallowedLogFile, JSON.stringify(entry) + '\n', 'utf8');
+    if (capability) entry.capability = capability;
+    if (reason) entry.reason = reason;
     this.disallowedAttempts.push(entry);
+    this.auditDecision('resolver.invoke', 'deny', {
+      stepNumber,
+      resolver: resolverName,
+      action: stepAction,
+      capability,
+      reason: reason || (capability ? 'capability not granted' : 'resolver not allowed')
+    });
 
     if (this.verbose) {
       console.warn(`[O-Lang] Disallowed resolver blocked: ${resolverName} | step: ${stepAction}`);
@@ -134,14 +384,53 @@ class RuntimeAPI {
 
   printDisallowedSummary() {
     if (!this.disallowedAttempts.length) return;
-    console.log('\n[O-Lang] ⚠️ Disallowed resolver summary:');
-    console.log(`Total blocked attempts: ${this.disallowedAttempts.length}`);
+    this.log('\n[O-Lang] ⚠️ Disallowed resolver summary:');
+    this.log(`Total blocked attempts: ${this.disallowedAttempts.length}`);
     const displayCount = Math.min(5, this.disallowedAttempts.length);
     this.disallowedAttempts.slice(0, displayCount).forEach((e, i) => {
-      console.log(`${i + 1}. Resolver: ${e.resolver}, Step: ${e.step}, Time: ${e.timestamp}`);
+      this.log(`${i + 1}. Resolver: ${e.resolver}, Step: ${e.step}, Time: ${e.timestamp}`);
     });
     if (this.disallowedAttempts.length > displayCount) {
-      console.log(`...and ${this.disallowedAttempts.length - displayCount} more entries logged in ${this.disallowedLogFile}`);
+      const where = this.audit ? ` in ${this.audit.file}` : '';
+      this.log(`...and ${this.disallowedAttempts.length - displayCount} more entries${where}`);
+    }
+  }
+
+  /**
+   * Checks the capabilities a resolver declares for this invocation against
+   * the workflow's grants ("- Name may ..." / "- Name may not ..."). A denial
+   * always wins; once anything is granted, only granted capabilities may be
+   * used. Resolvers without grants keep every capability they declare.
+   * A resolver named in grant lines that declares no capability for the verb
+   * is blocked: its grants could not be enforced.
+   */
+  checkCapabilities(resolver, step, verb) {
+    const grants = resolverNames(resolver).map(name => this.capabilityGrants[name]).filter(Boolean);
+    if (!grants.length) return;
+
+    const allow = grants.flatMap(g => g.allow);
+    const deny = grants.flatMap(g => g.deny);
+    const resolverName = resolver?.resolverName || resolver?.name;
+    const required = requiredCapabilities(resolver, verb);
+
+    if (!required.length) {
+      const reason = 'no capabilities declared for the action';
+      this.logDisallowedResolver(resolverName, step.actionRaw || step.type, null, step.stepNumber, reason);
+      throw new PolicyViolationError(
+        `[O-Lang] Resolver "${resolverName}" has capability grants but declares no capabilities for "${verb || step.type}" (step ${step.stepNumber})`,
+        { stepNumber: step.stepNumber, resolver: resolverName, action: step.actionRaw || step.type, reason }
+      );
+    }
+
+    for (const capability of required) {
+      const denied = deny.some(p => capabilityMatches(p, capability));
+      if (denied || (allow.length && !allow.some(p => capabilityMatches(p, capability)))) {
+        this.logDisallowedResolver(resolverName, step.actionRaw || step.type, capability, step.stepNumber);
+        throw new PolicyViolationError(
+          `[O-Lang] Resolver "${resolverName}" may not use capability "${capability}" (step ${step.stepNumber})`,
+          { stepNumber: step.stepNumber, resolver: resolverName, action: step.actionRaw || step.type, capability }
+        );
+      }
     }
   }
 
@@ -172,15 +461,28 @@ class RuntimeAPI {
    * - timeout
    * - JSON contract
    * - isolation (no direct execution)
+   * A step `Timeout` (options.timeoutMs) overrides the manifest's timeout_ms.
    */
-  async _callExternalResolver(resolver, action, context) {
+  async _callExternalResolver(resolver, action, context, invocation = {}, options = {}) {
     const manifest = resolver.manifest;
     const endpoint = manifest.endpoint;
-    const timeoutMs = manifest.timeout_ms || 30000;
+    const timeoutMs = options.timeoutMs || manifest.timeout_ms || 30000;
+
+    // Secrets leave the kernel only for resolvers they were granted to
+    const withheld = this.withheldSecrets(resolver);
+    if (withheld.length) {
+      const hidden = { names: withheld, values: secretValues(withheld, p => this.getNested(context, p)) };
+      context = redactSecrets(omitPaths(context, withheld), hidden);
+      action = redactText(action, hidden.values);
+      invocation = { ...invocation, descriptor: redactSecrets(invocation.descriptor || null, hidden) };
+    }
 
     const payload = {
       action,
       context,
+      agent: invocation.agent || null,
+      resource: invocation.resource || null,
+      descriptor: invocation.descriptor || null,
       resolver: resolver.resolverName,
       workflow: context.workflow_name,
       timestamp: new Date().toISOString()
@@ -210,7 +512,11 @@ class RuntimeAPI {
       return json.result;
     } catch (err) {
       if (err.name === 'AbortError') {
-        throw new Error(`External resolver timeout after ${timeoutMs}ms`);
+        throw new ResolverTimeoutError(`External resolver timeout after ${timeoutMs}ms`, {
+          resolver: resolver.resolverName,
+          action,
+          timeoutMs
+        });
       }
       throw err;
     } finally {
@@ -218,6 +524,47 @@ class RuntimeAPI {
     }
   }
 
+  /**
+   * Runs one resolver call inside a "resolver <name>" span under the current
+   * step. olang.outcome is "result", "unhandled" (undefined), "error" or "timeout".
+   */
+  async traceResolverCall(resolver, action, attributes, call) {
+    const name = resolver?.resolverName || resolver?.name || 'Resolver';
+    const external = this._isExternalResolver(resolver);
+    const span = this.tracer.startSpan(`resolver ${name}`, {
+      parent: this.currentSpan,
+      kind: external ? 'client' : 'internal',
+      attributes: {
+        'olang.resolver.name': name,
+        'olang.resolver.external': external,
+        'olang.action': this.redact(action),
+        ...attributes
+      }
+    });
+    try {
+      const result = await call();
+      span.setAttribute('olang.outcome', result === undefined ? 'unhandled' : 'result').setStatus('ok');
+      return result;
+    } catch (err) {
+      span.setAttribute('olang.outcome', err instanceof ResolverTimeoutError ? 'timeout' : 'error').recordException(err);
+      throw err;
+    } finally {
+      span.end();
+    }
+  }
+
+  // Calls a local or HTTP resolver with the step's context view, bounded by the step's timeout
+  async _invokeResolver(resolver, action, step, invocation, timeoutMs = null) {
+    const context = this.contextView(step, resolver, invocation);
+    if (this._isExternalResolver(resolver)) {
+      return this._callExternalResolver(resolver, action, context, invocation, { timeoutMs });
+    }
+    const name = resolver?.resolverName || resolver?.name || 'Resolver';
+    return withTimeout(resolver(action, context, invocation), timeoutMs, () =>
+      new ResolverTimeoutError(`Resolver ${name} timed out after ${timeoutMs}ms`, { resolver: name, action, timeoutMs })
+    );
+  }
+
   // -----------------------------
   // Utilities
   // -----------------------------
@@ -226,15 +573,17 @@ class RuntimeAPI {
     return path.split('.').reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), obj);
   }
 
+  // Replace {path} placeholders with context values, leaving unknown ones as-is
+  interpolate(template, ctx = this.context) {
+    return String(template).replace(/\{([^\}]+)\}/g, (_, path) => {
+      const value = this.getNested(ctx, path.trim());
+      return value !== undefined ? String(value) : `{${path}}`;
+    });
+  }
+
   evaluateCondition(cond, ctx) {
-    cond = cond.trim();
-    const eq = cond.match(/^\{(.+)\}\s+equals\s+"(.*)"$/);
-    if (eq) return this.getNested(ctx, eq[1]) == eq[2];
-    const gt = cond.match(/^\{(.+)\}\s+greater than\s+(\d+\.?\d*)$/);
-    if (gt) return parseFloat(this.getNested(ctx, gt[1])) > parseFloat(gt[2]);
-    const lt = cond.match(/^\{(.+)\}\s+less than\s+(\d+\.?\d*)$/);
-    if (lt) return parseFloat(this.getNested(ctx, lt[1])) < parseFloat(lt[2]);
-    return Boolean(this.getNested(ctx, cond.replace(/\{|\}/g, '')));
+    const ast = typeof cond === 'string' ? parseCondition(cond) : cond;
+    return evaluateCondition(ast, p => this.getNested(ctx, p));
   }
 
   mathFunctions = {
@@ -258,21 +607,14 @@ class RuntimeAPI {
   };
 
   evaluateMath(expr) {
-    expr = expr.replace(/\{([^\}]+)\}/g, (_, path) => {
-      const value = this.getNested(this.context, path.trim());
-      if (typeof value === 'string') return `"${value.replace(/"/g, '\\"')}"`;
-      return value !== undefined ? value : 0;
-    });
-
-    const funcNames = Object.keys(this.mathFunctions);
-    const safeFunc = {};
-    funcNames.forEach(fn => safeFunc[fn] = this.mathFunctions[fn]);
-
     try {
-      const f = new Function(...funcNames, `return ${expr};`);
-      return f(...funcNames.map(fn => safeFunc[fn]));
+      return evaluateExpression(expr, {
+        resolve: p => this.getNested(this.context, p),
+        functions: this.mathFunctions
+      });
     } catch (e) {
-      this.addWarning(`Failed to evaluate math expression "${expr}": ${e.message}`);
+      const message = e instanceof ExpressionSyntaxError ? e.message : `${e.message} in expression: ${expr}`;
+      this.addWarning(`Failed to evaluate math expression: ${message}`);
       return 0;
     }
   }
@@ -285,39 +627,335 @@ class RuntimeAPI {
     return null;
   }
 
+  // Normalise the agentResolver argument into a list of resolvers
+  _resolverList(agentResolver) {
+    if (agentResolver && Array.isArray(agentResolver._chain)) {
+      // Resolver chain mode
+      return agentResolver._chain;
+    } else if (Array.isArray(agentResolver)) {
+      // Array of resolvers mode (what npx olang passes with -r flags)
+      return agentResolver;
+    } else if (agentResolver) {
+      // Single resolver mode
+      return [agentResolver];
+    }
+    return [];
+  }
+
+  /**
+   * Fills the {placeholders} in an action descriptor's text fields, so
+   * resolvers see the same values as in the interpolated action string.
+   * `vars` keeps the referenced names.
+   */
+  describeAction(descriptor) {
+    const fill = text => (text === null ? null : this.interpolate(text));
+    return {
+      ...descriptor,
+      object: fill(descriptor.object),
+      with: descriptor.with.map(fill),
+      strings: descriptor.strings.map(fill)
+    };
+  }
+
+  /**
+   * Picks the resolvers an action is sent to. An action that names an agent
+   * (`using X`) only goes to resolvers whose resolverName or aliases match X
+   * or the resource X is bound to. Actions without an agent use the whole
+   * chain in order. A named agent with no matching resolver is an error,
+   * unless `fallbackToChain` is set.
+   */
+  _routeResolvers(resolvers, invocation, step) {
+    const { agent, resource } = invocation;
+    if (!agent) return resolvers;
+
+    const names = [agent, resource?.name].filter(Boolean);
+    const matches = resolvers.filter(r => resolverNames(r).some(name => names.includes(name)));
+    if (matches.length) return matches;
+
+    if (this.fallbackToChain) {
+      this.addWarning(`No resolver named "${agent}"; falling back to the resolver chain`);
+      return resolvers;
+    }
+    throw new ResolverError(
+      `[O-Lang] No resolver handles agent "${agent}" (step ${step.stepNumber}); ` +
+      `set resolverName or aliases, or enable the resolver chain fallback`,
+      { stepNumber: step.stepNumber, resolver: null, action: step.actionRaw, agent }
+    );
+  }
+
+  // -----------------------------
+  // Resource binding
+  // -----------------------------
+  /**
+   * Resolves the `using X` agent of an action through the bindings declared by
+   * `Agent "X" uses "Resource"` and `Connect "Resource" using "uri"`.
+   * The result is passed to resolvers as their third argument, together with
+   * the action `descriptor`.
+   * @returns {{ agent: string|null, resource: { name: string, uri: string|null }|null }}
+   */
+  resolveBinding(actionText) {
+    const { agent } = parseAction(actionText);
+    if (!agent) return { agent: null, resource: null };
+
+    const resourceName = this.agentMap[agent];
+    if (resourceName === undefined) {
+      if (Object.keys(this.agentMap).length) {
+        this.addWarning(`Agent "${agent}" is not bound to a resource (add: Agent "${agent}" uses "...")`);
+      }
+      return { agent, resource: null };
+    }
+
+    const uri = this.resources[resourceName];
+    if (uri === undefined) {
+      this.addWarning(`Resource "${resourceName}" used by agent "${agent}" was never connected`);
+    }
+    return { agent, resource: { name: resourceName, uri: uri !== undefined ? uri : null } };
+  }
+
+  // -----------------------------
+  // Parallel execution
+  // -----------------------------
+  /**
+   * Runs the children of a `Run in parallel` block concurrently.
+   * Each branch works on its own copy of the context, taken when the block starts.
+   * Once every branch has settled:
+   * - if any branch threw, no writes are committed and the first failure
+   *   (in declaration order) is rethrown
+   * - if two branches wrote the same context key, the block fails
+   * - otherwise all writes are merged back in declaration order
+   */
+  async executeParallel(step, agentResolver) {
+    const base = this.context;
+
+    const branches = step.steps.map(child => {
+      const branch = Object.create(this);
+      branch.context = { ...base };
+      return { child, branch };
+    });
+
+    const settled = await Promise.allSettled(
+      branches.map(({ child, branch }) => branch.executeStep(child, agentResolver))
+    );
+
+    const failure = settled.find(r => r.status === 'rejected');
+    if (failure) throw failure.reason;
+
+    const writers = {};
+    const conflicts = [];
+    const writes = [];
+
+    for (const { child, branch } of branches) {
+      for (const key of Object.keys(branch.context)) {
+        // __resolver_N scratch keys are per-branch bookkeeping, not results
+        if (key.startsWith('__') || Object.is(branch.context[key], base[key])) continue;
+
+        if (writers[key] !== undefined) {
+          conflicts.push(`"${key}" (steps ${writers[key]} and ${child.stepNumber})`);
+        } else {
+          writers[key] = child.stepNumber;
+          writes.push([key, branch.context[key]]);
+        }
+      }
+    }
+
+    if (conflicts.length) {
+      throw new OLangError(
+        `[O-Lang] Parallel branches wrote the same context key: ${conflicts.join(', ')}`,
+        { stepNumber: step.stepNumber, conflicts }
+      );
+    }
+
+    for (const [key, value] of writes) {
+      this.context[key] = value;
+    }
+  }
+
+  // -----------------------------
+  // Loops
+  // -----------------------------
+  /**
+   * Runs the body once per item of the collection, in order.
+   * Each iteration gets a scoped copy of the context with the item and its
+   * index bound; its writes are discarded afterwards. The value of the last
+   * `Save as` in the body is collected into the returned array.
+   */
+  async executeForEach(step, agentResolver) {
+    const collection = this.getNested(this.context, step.collection);
+    if (!Array.isArray(collection)) {
+      this.addWarning(`For each expects "${step.collection}" to be a list, got ${collection === undefined ? 'undefined' : typeof collection}`);
+      return [];
+    }
+
+    const resultKey = [...step.steps].reverse().find(s => s.saveAs)?.saveAs;
+    const results = [];
+
+    for (let i = 0; i < collection.length; i++) {
+      const scope = Object.create(this);
+      scope.context = { ...this.context, [step.item]: collection[i], [step.index]: i };
+
+      for (const s of step.steps) await scope.executeStep(s, agentResolver);
+
+      results.push(resultKey ? scope.context[resultKey] : undefined);
+    }
+
+    return results;
+  }
+
+  /**
+   * Runs the body, then checks the condition, until it holds.
+   * The `at most N times` bound is mandatory; exhausting it is an error.
+   * Returns the number of iterations run.
+   */
+  async executeRepeat(step, agentResolver) {
+    if (!step.maxIterations || step.maxIterations <= 0) {
+      this.auditDecision('constraint.repeat', 'deny', { stepNumber: step.stepNumber, reason: 'missing bound' });
+      throw new ConstraintError(`[O-Lang] Repeat until "${step.condition}" requires an "at most N times" bound`, {
+        stepNumber: step.stepNumber
+      });
+    }
+
+    for (let n = 1; n <= step.maxIterations; n++) {
+      for (const s of step.steps) await this.executeStep(s, agentResolver);
+      if (this.evaluateCondition(step.condition, this.context)) {
+        this.auditDecision('constraint.repeat', 'allow', { stepNumber: step.stepNumber, iterations: n, maxIterations: step.maxIterations });
+        return n;
+      }
+    }
+
+    this.auditDecision('constraint.repeat', 'deny', {
+      stepNumber: step.stepNumber,
+      maxIterations: step.maxIterations,
+      reason: 'bound exhausted'
+    });
+    throw new ConstraintError(
+      `[O-Lang] Repeat until "${step.condition}" not satisfied within ${step.maxIterations} iterations`,
+      { stepNumber: step.stepNumber, maxIterations: step.maxIterations }
+    );
+  }
+
   // -----------------------------
   // Step execution
   // -----------------------------
+  /**
+   * Runs one step under the workflow's `On error:` mode. With `stop` (the
+   * default) the error propagates and ends the run; with `continue` it only
+   * becomes a warning, and with `collect` it is also gathered for the result
+   * envelope. Either way the failed step saves nothing and the run goes on.
+   * `On failure stop` on the step itself always ends the run.
+   */
   async executeStep(step, agentResolver) {
+    const startedAt = new Date();
+    const parentSpan = this.currentSpan;
+    const span = this.tracer.startSpan(`step ${step.stepNumber} ${step.type}`, {
+      parent: parentSpan,
+      attributes: {
+        'olang.step.number': step.stepNumber,
+        'olang.step.type': step.type,
+        'olang.step.line': step.line ?? undefined,
+        'olang.step.save_as': step.saveAs || undefined
+      }
+    });
+    this.currentSpan = span;
+
+    try {
+      await this.runStep(step, agentResolver);
+      this.traceStep(step, startedAt);
+      span.setAttribute('olang.outcome', 'ok').setStatus('ok');
+    } catch (err) {
+      const error = asStepError(err, step);
+      this.traceStep(step, startedAt, error);
+      span.setAttribute('olang.outcome', 'failed').recordException(error);
+      if (this.onError === 'stop' || error.fatal) throw error;
+
+      if (this.onError === 'collect') this.stepErrors.push(error);
+      this.addWarning(`Step ${error.stepNumber} failed: ${error.message}`);
+    } finally {
+      this.currentSpan = parentSpan;
+      span.end();
+    }
+  }
+
+  // Records a finished step for the run history. A failure is recorded as
+  // `failed` on the step that raised it; blocks it passes through are
+  // `propagated`, so the trace holds one failure per error.
+  traceStep(step, startedAt, error = null) {
+    let status = 'ok';
+    if (error) {
+      status = tracedErrors.has(error) ? 'propagated' : 'failed';
+      tracedErrors.add(error);
+    }
+    this.stepTrace.push({
+      stepNumber: step.stepNumber,
+      type: step.type,
+      line: step.line === undefined ? null : step.line,
+      saveAs: step.saveAs || null,
+      status,
+      output: !error && step.saveAs ? this.getNested(this.context, step.saveAs) : null,
+      error: error ? error.message : null,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime()
+    });
+  }
+
+  async runStep(step, agentResolver) {
     const stepType = step.type;
 
     // ✅ ADDITION 3 — Resolver Policy Enforcement (External + Local)
-    const enforceResolverPolicy = (resolver, step) => {
+    const enforceResolverPolicy = (resolver, step, verb = null) => {
       const resolverName = resolver?.resolverName || resolver?.name;
 
       if (!resolverName) {
-        throw new Error('[O-Lang] Resolver missing resolverName');
+        throw new OLangError('[O-Lang] Resolver missing resolverName', { stepNumber: step.stepNumber });
       }
 
       if (!this.allowedResolvers.has(resolverName)) {
-        this.logDisallowedResolver(resolverName, step.actionRaw || step.type);
-        throw new Error(
-          `[O-Lang] Resolver "${resolverName}" blocked by workflow policy`
+        this.logDisallowedResolver(resolverName, step.actionRaw || step.type, null, step.stepNumber);
+        throw new PolicyViolationError(
+          `[O-Lang] Resolver "${resolverName}" blocked by workflow policy`,
+          { stepNumber: step.stepNumber, resolver: resolverName, action: step.actionRaw || step.type }
         );
       }
 
+      this.checkCapabilities(resolver, step, verb);
+
       // External resolvers MUST be HTTP-only
       if (this._isExternalResolver(resolver)) {
         if (!resolver.manifest.endpoint) {
-          throw new Error(
-            `[O-Lang] External resolver "${resolverName}" missing endpoint`
+          throw new ResolverError(
+            `[O-Lang] External resolver "${resolverName}" missing endpoint`,
+            { stepNumber: step.stepNumber, resolver: resolverName, action: step.actionRaw || step.type }
           );
         }
       }
+
+      this.auditDecision('resolver.invoke', 'allow', {
+        stepNumber: step.stepNumber,
+        resolver: resolverName,
+        action: step.actionRaw || step.type,
+        capabilities: requiredCapabilities(resolver, verb)
+      });
     };
 
+    /**
+     * Sends an action to its resolvers. Step modifiers (`step.constraints`):
+     * - retries / backoffMs: attempts again while no resolver returned a
+     *   result and at least one threw or timed out, waiting backoffMs, then
+     *   twice as long, ...
+     * - timeoutMs: limit for each resolver call (local and HTTP)
+     * - onFailure: { type: 'use', agent } calls that resolver once retries are
+     *   exhausted; { type: 'stop' } throws a fatal ResolverError that ends the
+     *   run whatever the On error mode. Without it, the last resolver error is
+     *   thrown and the workflow's On error mode decides: stop ends the run,
+     *   continue and collect add a warning (collect also reports the error)
+     *   and the step saves nothing.
+     * An action no resolver handles (all returned undefined, none threw)
+     * resolves to undefined.
+     */
     const runResolvers = async (action) => {
-      const outputs = [];
+      const invocation = {
+        ...this.resolveBinding(step.actionRaw || action),
+        descriptor: this.describeAction(step.descriptor || parseAction(step.actionRaw || action))
+      };
 
       const mathPattern =
         /^(Add|Subtract|Multiply|Divide|Sum|Avg|Min|Max|Round|Floor|Ceil|Abs)\b/i;
@@ -330,68 +968,92 @@ class RuntimeAPI {
         this.allowedResolvers.add('builtInMathResolver');
       }
 
-      // Handle different resolver input formats
-      let resolversToRun = [];
-      
-      if (agentResolver && Array.isArray(agentResolver._chain)) {
-        // Resolver chain mode
-        resolversToRun = agentResolver._chain;
-      } else if (Array.isArray(agentResolver)) {
-        // Array of resolvers mode (what npx olang passes with -r flags)
-        resolversToRun = agentResolver;
-      } else if (agentResolver) {
-        // Single resolver mode
-        resolversToRun = [agentResolver];
-      }
+      const allResolvers = this._resolverList(agentResolver);
+      const resolversToRun = this._routeResolvers(allResolvers, invocation, step);
+      const { retries = 0, backoffMs = 0, timeoutMs = null, onFailure = null } = step.constraints || {};
 
       // ✅ Return the FIRST resolver that returns a non-undefined result
-      for (let idx = 0; idx < resolversToRun.length; idx++) {
-        const resolver = resolversToRun[idx];
-        enforceResolverPolicy(resolver, step); // ✅ Use new policy enforcement
-
-        try {
-          let result; // ✅ ADDITION 4 — External Resolver Execution Path
-
-          if (this._isExternalResolver(resolver)) {
-            result = await this._callExternalResolver(
+      let attempts = 0;
+      const attempt = async (resolvers) => {
+        const errors = [];
+        attempts++;
+        for (const resolver of resolvers) {
+          const idx = allResolvers.indexOf(resolver);
+          enforceResolverPolicy(resolver, step, invocation.descriptor.verb); // ✅ Use new policy enforcement
+
+          try {
+            const result = await this.traceResolverCall(
               resolver,
               action,
-              this.context
+              { 'olang.step.number': step.stepNumber, 'olang.attempt': attempts },
+              () => this._invokeResolver(resolver, action, step, invocation, timeoutMs)
             );
-          } else {
-            result = await resolver(action, this.context);
-          }
-
-          if (result !== undefined) {
             this.context[`__resolver_${idx}`] = result;
-            return result;
+            if (result !== undefined) return { result, errors };
+          } catch (e) {
+            const resolverName = resolver?.resolverName || resolver?.name || String(idx);
+            this.addWarning(`Resolver ${resolverName} failed for action "${action}": ${e.message}`);
+            errors.push(e instanceof ResolverError ? Object.assign(e, { stepNumber: step.stepNumber }) :
+              new ResolverError(e.message, { stepNumber: step.stepNumber, resolver: resolverName, action, cause: e }));
+            this.context[`__resolver_${idx}`] = null;
           }
-
-          outputs.push(result);
-          this.context[`__resolver_${idx}`] = result;
-        } catch (e) {
-          this.addWarning(`Resolver ${resolver?.resolverName || resolver?.name || idx} failed for action "${action}": ${e.message}`);
-          outputs.push(null);
-          this.context[`__resolver_${idx}`] = null;
         }
+        // If no resolver handled the action, the result is undefined
+        return { result: undefined, errors };
+      };
+
+      let outcome = await attempt(resolversToRun);
+      for (let retry = 1; retry <= retries && outcome.result === undefined && outcome.errors.length; retry++) {
+        const delay = backoffMs * 2 ** (retry - 1);
+        this.addWarning(`Retrying step ${step.stepNumber} (${retry}/${retries})${delay ? ` after ${delay}ms` : ''}`);
+        if (delay) await sleep(delay);
+        this.currentSpan?.setAttribute('olang.retries', retry);
+        outcome = await attempt(resolversToRun);
       }
 
-      // If no resolver handled the action, return undefined
-      return undefined;
+      if (outcome.result !== undefined || !outcome.errors.length) {
+        return outcome.result;
+      }
+
+      const lastError = outcome.errors[outcome.errors.length - 1];
+      if (!onFailure) throw lastError;
+
+      if (onFailure.type === 'stop') {
+        throw new ResolverError(
+          `[O-Lang] Step ${step.stepNumber} failed after ${retries + 1} attempt(s): ${lastError.message}`,
+          { stepNumber: step.stepNumber, resolver: lastError.resolver, action, attempts: retries + 1, fatal: true, cause: lastError }
+        );
+      }
+
+      const fallback = allResolvers.filter(r => resolverNames(r).includes(onFailure.agent));
+      if (!fallback.length) {
+        throw new ResolverError(`[O-Lang] Fallback resolver "${onFailure.agent}" for step ${step.stepNumber} is not loaded`, {
+          stepNumber: step.stepNumber,
+          resolver: onFailure.agent,
+          action
+        });
+      }
+      this.addWarning(`Step ${step.stepNumber} failed (${lastError.message}); using fallback ${onFailure.agent}`);
+      const fallbackOutcome = await attempt(fallback);
+      if (fallbackOutcome.result === undefined && fallbackOutcome.errors.length) {
+        const fallbackError = fallbackOutcome.errors[fallbackOutcome.errors.length - 1];
+        throw new ResolverError(
+          `[O-Lang] Fallback resolver "${onFailure.agent}" failed for step ${step.stepNumber}: ${fallbackError.message}`,
+          { stepNumber: step.stepNumber, resolver: onFailure.agent, action, cause: fallbackError }
+        );
+      }
+      return fallbackOutcome.result;
     };
 
     switch (stepType) {
       case 'calculate': {
-        const result = this.evaluateMath(step.expression || step.actionRaw);
+        const result = this.evaluateMath(step.expression);
         if (step.saveAs) this.context[step.saveAs] = result;
         break;
       }
 
       case 'action': {
-        const action = step.actionRaw.replace(/\{([^\}]+)\}/g, (_, path) => {
-          const value = this.getNested(this.context, path.trim());
-          return value !== undefined ? String(value) : `{${path}}`;
-        });
+        const action = this.interpolate(step.actionRaw);
 
         const mathCall = action.match(/^(add|subtract|multiply|divide|sum|avg|min|max|round|floor|ceil|abs)\((.*)\)$/i);
         if (mathCall) {
@@ -413,15 +1075,17 @@ class RuntimeAPI {
         break;
       }
 
-      case 'use': {
-        const res = await runResolvers(`Use ${step.tool}`);
-        if (step.saveAs) this.context[step.saveAs] = res;
-        break;
-      }
-
-      case 'ask': {
-        const res = await runResolvers(`Ask ${step.target}`);
-        if (step.saveAs) this.context[step.saveAs] = res;
+      case 'prompt': {
+        if (!this.inputProvider) {
+          throw new Error(`[O-Lang] Prompt step ${step.stepNumber} requires an input provider`);
+        }
+        const answer = await this.inputProvider.ask({
+          question: this.interpolate(step.question),
+          name: step.saveAs,
+          stepNumber: step.stepNumber,
+          workflow: this.context.workflow_name
+        });
+        if (step.saveAs) this.context[step.saveAs] = answer;
         break;
       }
 
@@ -430,7 +1094,7 @@ class RuntimeAPI {
         const { targetResolver, feedback } = step;
         
         if (this.verbose) {
-          console.log(`🔄 Evolve step: ${targetResolver} with feedback: "${feedback}"`);
+          this.log(`🔄 Evolve step: ${targetResolver} with feedback: "${feedback}"`);
         }
         
         // Basic evolution: record the request (free tier)
@@ -449,6 +1113,13 @@ class RuntimeAPI {
       evolutionResult.message = 'Advanced evolution service would process this request';
     }
         
+        this.auditDecision('evolve.request', 'allow', {
+          stepNumber: step.stepNumber,
+          resolver: targetResolver,
+          feedback,
+          status: evolutionResult.status
+        });
+
         if (step.saveAs) {
           this.context[step.saveAs] = evolutionResult;
         }
@@ -456,19 +1127,33 @@ class RuntimeAPI {
       }
 
       case 'if': {
-        if (this.evaluateCondition(step.condition, this.context)) {
-          for (const s of step.body) await this.executeStep(s, agentResolver);
-        }
+        const branch = this.evaluateCondition(step.condition, this.context)
+          ? step.body
+          : step.elseBody || [];
+        for (const s of branch) await this.executeStep(s, agentResolver);
         break;
       }
 
       case 'parallel': {
-        await Promise.all(step.steps.map(s => this.executeStep(s, agentResolver)));
+        await this.executeParallel(step, agentResolver);
+        break;
+      }
+
+      case 'foreach': {
+        const results = await this.executeForEach(step, agentResolver);
+        if (step.saveAs) this.context[step.saveAs] = results;
+        break;
+      }
+
+      case 'repeat': {
+        const iterations = await this.executeRepeat(step, agentResolver);
+        if (step.saveAs) this.context[step.saveAs] = iterations;
         break;
       }
 
       case 'connect': {
-        this.resources[step.resource] = step.endpoint;
+        // The uri may reference inputs, e.g. Connect "CRM" using "{crm_url}"
+        this.resources[step.resource] = this.interpolate(step.endpoint);
         break;
       }
 
@@ -477,8 +1162,47 @@ class RuntimeAPI {
         break;
       }
 
+      case 'emit': {
+        const payload = this.buildEventPayload(step.payload);
+        this.emitWorkflowEvent(step.event, payload, step);
+        if (this.verbose) {
+          this.log(`📣 Emitted "${step.event}"`);
+        }
+        break;
+      }
+
       case 'debrief': {
-        this.emit('debrief', { agent: step.agent, message: step.message });
+        const entry = {
+          agent: step.agent,
+          message: this.interpolate(step.message),
+          stepNumber: step.stepNumber,
+          timestamp: new Date().toISOString(),
+          delivered: false
+        };
+
+        // Forward to the resolver named after the agent, if one is loaded.
+        // Delivery is best effort: a policy block (still audited), a resolver
+        // error or a timeout leaves the debrief undelivered with a warning,
+        // and the run goes on
+        const recipient = this._resolverList(agentResolver)
+          .find(r => resolverNames(r).includes(step.agent));
+        if (recipient) {
+          const action = `Debrief ${step.agent} with "${entry.message}"`;
+          const invocation = { agent: step.agent, resource: null, debrief: { agent: entry.agent, message: entry.message } };
+          try {
+            enforceResolverPolicy(recipient, step, 'Debrief');
+            entry.response = await this.traceResolverCall(recipient, action, { 'olang.step.number': step.stepNumber }, () =>
+              this._invokeResolver(recipient, action, step, invocation, DEBRIEF_TIMEOUT_MS)
+            );
+            entry.delivered = true;
+          } catch (e) {
+            entry.error = this.redact(e.message);
+            this.addWarning(`Debrief delivery to ${step.agent} failed: ${e.message}`);
+          }
+        }
+
+        this.debriefs.push(entry);
+        this.emit('debrief', this.redact({ agent: entry.agent, message: entry.message }));
         break;
       }
 
@@ -490,29 +1214,21 @@ class RuntimeAPI {
           break;
         }
 
-        const outputPath = path.resolve(process.cwd(), step.destination);
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
-        }
-
-        let content;
-        if (step.destination.endsWith('.json')) {
-          content = JSON.stringify(sourceValue, null, 2);
-        } else {
-          content = String(sourceValue);
-        }
-
-        fs.writeFileSync(outputPath, content, 'utf8');
+        const outputPath = resolveOutputPath(this.outputRoot, step.destination);
+        writeOutput(outputPath, sourceValue, { append: step.mode === 'append' });
 
         if (this.verbose) {
-          console.log(`💾 Persisted "${step.source}" to ${step.destination}`);
+          this.log(`💾 ${step.mode === 'append' ? 'Appended' : 'Persisted'} "${step.source}" to ${step.destination}`);
         }
         break;
       }
 
       // ✅ NEW: Database persist handler
       case 'persist-db': {
+        if (!/^[A-Za-z_]\w*$/.test(step.collection || '')) {
+          throw new Error(`[O-Lang] Invalid DB collection name "${step.collection}"`);
+        }
+
         if (!this.dbClient) {
           this.addWarning(`DB persistence skipped (no DB configured). Set OLANG_DB_TYPE env var.`);
           break;
@@ -563,7 +1279,7 @@ class RuntimeAPI {
           }
           
           if (this.verbose) {
-            console.log(`🗄️  Persisted "${step.source}" to DB collection ${step.collection}`);
+            this.log(`🗄️  Persisted "${step.source}" to DB collection ${step.collection}`);
           }
         } catch (e) {
           this.addWarning(`DB persist failed for "${step.source}": ${e.message}`);
@@ -578,16 +1294,13 @@ class RuntimeAPI {
         // Note: We can't easily check if resolvers are external here since we only have names
         // This would need to be moved to where we have the actual resolver objects
       }
-      console.log(`\n[Step: ${step.type} | saveAs: ${step.saveAs || 'N/A'}]`);
-      console.log(JSON.stringify(this.context, null, 2));
+      this.log(`\n[Step: ${step.type} | saveAs: ${step.saveAs || 'N/A'}]`);
+      this.log(JSON.stringify(this.redact(this.context), null, 2));
     }
   }
 
   async executeWorkflow(workflow, inputs, agentResolver) {
-    // Handle regular workflows only (Evolve is a step type now)
-    if (workflow.type !== 'workflow') {
-      throw new Error(`Unknown workflow type: ${workflow.type}`);
-    }
+    workflow = this.prepareWorkflow(workflow);
 
     // ✅ Inject workflow name into context
     this.context = { 
@@ -597,12 +1310,106 @@ class RuntimeAPI {
     
     // ✅ Check generation constraint from Constraint: max_generations = X
     const currentGeneration = inputs.__generation || 1;
+    if (workflow.maxGenerations !== null) {
+      this.auditDecision('constraint.max_generations', currentGeneration > workflow.maxGenerations ? 'deny' : 'allow', {
+        generation: currentGeneration,
+        maxGenerations: workflow.maxGenerations
+      });
+    }
     if (workflow.maxGenerations !== null && currentGeneration > workflow.maxGenerations) {
-      throw new Error(`Workflow generation ${currentGeneration} exceeds Constraint: max_generations = ${workflow.maxGenerations}`);
+      const error = new ConstraintError(
+        `Workflow generation ${currentGeneration} exceeds Constraint: max_generations = ${workflow.maxGenerations}`,
+        { generation: currentGeneration, maxGenerations: workflow.maxGenerations }
+      );
+      this.runStartedAt = new Date();
+      await this.recordRun(workflow, inputs, 0, null, error);
+      throw error;
+    }
+
+    this.applyWorkflowPolicy(workflow);
+    this.onError = workflow.onError || this.defaultOnError;
+    this.stepErrors = [];
+
+    return this.runSteps(workflow, inputs, 0, agentResolver);
+  }
+
+  /**
+   * Continues a checkpointed run from its last completed top-level step.
+   * Steps before the checkpoint are not run again: their saved outputs,
+   * bindings and debriefs come back from the checkpoint. Resolvers are not
+   * checkpointed, so the caller passes them again.
+   */
+  async resume(runId, agentResolver, { envelope = false, inputs = {} } = {}) {
+    if (envelope) return this.toEnvelope(() => this.resume(runId, agentResolver, { inputs }));
+
+    this.runId = runId;
+    if (!this.checkpointStore) {
+      throw new OLangError('[O-Lang] resume() needs a checkpointStore', { runId });
+    }
+    const checkpoint = await this.checkpointStore.load(runId);
+    if (!checkpoint) {
+      throw new OLangError(`[O-Lang] No checkpoint for run "${runId}"`, { runId });
+    }
+    if (checkpoint.status === 'completed') {
+      throw new OLangError(`[O-Lang] Run "${runId}" already completed`, { runId });
+    }
+
+    const workflow = this.prepareWorkflow(checkpoint.workflow);
+    const { state } = checkpoint;
+    this.runCreatedAt = checkpoint.createdAt;
+    this.context = { ...state.context, ...inputs }; // Secrets are not stored in checkpoints, so callers pass them again
+    this.resources = state.resources;
+    this.agentMap = state.agentMap;
+    this.debriefs = state.debriefs;
+    this.onError = state.onError;
+    this.stepErrors = state.stepErrors.map(({ message, ...details }) => new OLangError(message, details));
+
+    this.applyWorkflowPolicy(workflow);
+    const checkpointed = Object.entries(state.secrets || {}).map(([name, resolvers]) => ({ name, resolvers }));
+    this.secrets = collectSecrets([...(workflow.secrets || []), ...checkpointed], this.secretOption);
+    for (const name of this.secrets.keys()) {
+      const value = this.getNested(this.context, name);
+      if (value === undefined || value === MASK) {
+        this.addWarning(`Secret "${name}" is not stored in checkpoints; pass it again when resuming`);
+      }
+    }
+    for (const [resource, uri] of Object.entries(this.resources)) {
+      if (String(uri).includes(MASK)) {
+        this.addWarning(`Resource "${resource}" was checkpointed with a masked secret in its uri; it will not resolve as it did before`);
+      }
+    }
+    if (checkpoint.pc > 0) {
+      this.addWarning(`Resuming run ${runId}: skipping ${checkpoint.pc} completed step(s)`);
+    }
+    return this.runSteps(workflow, checkpoint.inputs, checkpoint.pc, agentResolver);
+  }
+
+  // Upgrades and checks a workflow AST before it runs
+  prepareWorkflow(workflow) {
+    // Handle regular workflows only (Evolve is a step type now)
+    if (workflow.type !== 'workflow') {
+      throw new Error(`Unknown workflow type: ${workflow.type}`);
+    }
+
+    // ✅ Pre-parsed or generated ASTs are upgraded and checked against ast.schema.json
+    if (workflow.astVersion !== AST_VERSION) {
+      const from = workflow.astVersion === undefined ? 0 : workflow.astVersion;
+      workflow = migrateAst(workflow);
+      this.addWarning(`Workflow AST migrated from version ${from} to ${AST_VERSION}`);
     }
+    const problems = validateAst(workflow);
+    if (problems.length) {
+      throw new AstValidationError(problems);
+    }
+    return workflow;
+  }
 
+  applyWorkflowPolicy(workflow) {
     this.workflowSteps = workflow.steps;
     this.allowedResolvers = new Set(workflow.allowedResolvers || []);
+    this.capabilityGrants = workflow.capabilityGrants || {};
+    this.secrets = collectSecrets(workflow.secrets, this.secretOption);
+    this.shares = Object.fromEntries((workflow.shares || []).map(s => [s.agent, s.vars]));
 
     const mathPattern =
       /^(Add|Subtract|Multiply|Divide|Sum|Avg|Min|Max|Round|Floor|Ceil|Abs)\b/i;
@@ -612,17 +1419,53 @@ class RuntimeAPI {
         this.allowedResolvers.add('builtInMathResolver');
       }
     }
+  }
 
-    for (const step of workflow.steps) {
-      await this.executeStep(step, agentResolver);
+  // Runs the top-level steps from index `pc`, checkpointing after each one
+  async runSteps(workflow, inputs, pc, agentResolver) {
+    const steps = workflow.steps;
+    const resumedFrom = pc;
+    this.stepTrace = [];
+    this.runStartedAt = new Date();
+    await this.saveCheckpoint(workflow, inputs, pc, 'running');
+
+    const span = this.tracer.startSpan(`workflow ${workflow.name || '(unnamed)'}`, {
+      attributes: {
+        'olang.workflow.name': workflow.name || undefined,
+        'olang.run.id': this.runId,
+        'olang.run.resumed_from': resumedFrom || undefined
+      }
+    });
+    this.currentSpan = span;
+
+    try {
+      for (; pc < steps.length; pc++) {
+        try {
+          await this.executeStep(steps[pc], agentResolver);
+        } catch (err) {
+          await this.saveCheckpoint(workflow, inputs, pc, 'failed', err);
+          await this.recordRun(workflow, inputs, resumedFrom, null, err);
+          span.setAttribute('olang.outcome', 'failed').recordException(err);
+          throw err;
+        }
+        await this.saveCheckpoint(workflow, inputs, pc + 1, pc + 1 < steps.length ? 'running' : 'completed');
+      }
+      span.setAttributes({
+        'olang.outcome': this.stepErrors.length ? 'completed_with_errors' : 'ok',
+        'olang.step_errors': this.stepErrors.length
+      }).setStatus(this.stepErrors.length ? 'error' : 'ok');
+    } finally {
+      this.currentSpan = null;
+      span.end();
+      await this.tracer.flush();
     }
 
     this.printDisallowedSummary();
 
     if (this.__warnings.length) {
-      console.log(`\n[O-Lang] ⚠️ Parser/Runtime Warnings (${this.__warnings.length}):`);
+      this.log(`\n[O-Lang] ⚠️ Parser/Runtime Warnings (${this.__warnings.length}):`);
       this.__warnings.slice(0, 5).forEach((w, i) => {
-        console.log(`${i + 1}. ${w.timestamp} | ${w.message}`);
+        this.log(`${i + 1}. ${w.timestamp} | ${w.message}`);
       });
     }
 
@@ -630,12 +1473,116 @@ class RuntimeAPI {
     for (const key of workflow.returnValues) {
       result[key] = this.getNested(this.context, key);
     }
+    if (this.debriefs.length) {
+      result.__debriefs = this.redact(this.debriefs);
+    }
+    await this.recordRun(workflow, inputs, resumedFrom, result, null);
     return result;
   }
+
+  // -----------------------------
+  // Run history
+  // -----------------------------
+  async recordRun(workflow, inputs, resumedFrom, result, error) {
+    if (!this.history) return;
+
+    const finishedAt = new Date();
+    const errors = error ? [error] : this.stepErrors;
+    await this.history.append(this.redact({
+      runId: this.runId,
+      workflowName: workflow.name,
+      workflowHash: hashWorkflow(workflow),
+      status: error ? 'failed' : 'completed',
+      ok: errors.length === 0,
+      resumedFrom: resumedFrom || null,
+      inputs,
+      startedAt: this.runStartedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.runStartedAt,
+      steps: this.stepTrace,
+      warnings: this.__warnings,
+      policyBlocks: this.disallowedAttempts,
+      result,
+      errors
+    }));
+  }
+
+  // -----------------------------
+  // Checkpoints
+  // -----------------------------
+  async saveCheckpoint(workflow, inputs, pc, status, error = null) {
+    if (!this.checkpointStore) return;
+
+    const now = new Date().toISOString();
+    this.runCreatedAt = this.runCreatedAt || now;
+    const { __layout, ...ast } = workflow;
+    // Secret variables are left out rather than masked: masking would also
+    // rewrite saved values that merely contain a secret, and resume() would
+    // restore them corrupted
+    const secretNames = [...this.secrets.keys()];
+    await this.checkpointStore.save({
+      runId: this.runId,
+      workflowName: workflow.name,
+      status,
+      pc,
+      workflow: ast,
+      inputs: omitPaths(inputs, secretNames),
+      state: {
+        context: omitPaths(this.context, secretNames),
+        ...this.redact({
+          resources: this.resources,
+          agentMap: this.agentMap,
+          debriefs: this.debriefs,
+          onError: this.onError,
+          stepErrors: this.stepErrors
+        }),
+        secrets: Object.fromEntries(this.secrets)
+      },
+      error: this.redact(error),
+      createdAt: this.runCreatedAt,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Runs a workflow and reports the outcome as an envelope instead of throwing:
+   * { ok, runId, result, errors, warnings }. `errors` holds the error that stopped the
+   * run, or every step error gathered by "On error: collect"; `ok` is true only
+   * when it is empty. `result` is null when the run was stopped.
+   */
+  async runWorkflow(workflow, inputs, agentResolver) {
+    return this.toEnvelope(() => this.executeWorkflow(workflow, inputs, agentResolver));
+  }
+
+  async toEnvelope(run) {
+    let result = null;
+    let errors;
+    try {
+      result = await run();
+      errors = this.stepErrors;
+    } catch (err) {
+      errors = [err instanceof OLangError ? err : new OLangError(err.message, { cause: err })];
+    }
+    return {
+      ok: errors.length === 0,
+      runId: this.runId,
+      result,
+      errors,
+      warnings: this.__warnings.map(w => w.message)
+    };
+  }
 }
 
-async function execute(workflow, inputs, agentResolver, verbose = false) {
-  const rt = new RuntimeAPI({ verbose });
+/**
+ * Runs a workflow. The fourth argument is either the verbose flag or
+ * RuntimeAPI options ({ verbose, inputProvider, listeners, outputRoot, fallbackToChain,
+ * onError, checkpointStore, history, audit, tracer, secrets, runId, log, envelope }). With `envelope: true` the result envelope from
+ * RuntimeAPI#runWorkflow is returned instead of the bare result.
+ */
+async function execute(workflow, inputs, agentResolver, options = false) {
+  const settings = typeof options === 'object' && options !== null ? options : { verbose: options };
+  const rt = new RuntimeAPI(settings);
+  if (settings.envelope) return rt.runWorkflow(workflow, inputs, agentResolver);
   return rt.executeWorkflow(workflow, inputs, agentResolver);
 }
 
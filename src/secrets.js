@@ -0,0 +1,82 @@
+/**
+ * Secret handling. Context variables declared with `Secret name` (or the
+ * runtime's `secrets` option) are masked wherever the kernel writes data
+ * out: verbose output, warnings, the audit log, run history, checkpoints
+ * and traces. External resolvers only receive them when granted
+ * (`Secret name for Resolver`).
+ */
+
+const MASK = '***';
+
+// Values shorter than this are only masked under their own key; replacing
+// every occurrence of "1" or "ab" in the output would mangle it
+const MIN_MASKED_LENGTH = 4;
+
+/**
+ * Merges workflow declarations ([{ name, resolvers }]) with the runtime option
+ * (a list of names, or { name: [resolvers] }) into a Map of name -> resolvers.
+ */
+function collectSecrets(declared = [], option = []) {
+  const secrets = new Map();
+  const add = (name, resolvers = []) => {
+    secrets.set(name, [...new Set([...(secrets.get(name) || []), ...resolvers])]);
+  };
+
+  declared.forEach(s => add(s.name, s.resolvers));
+  if (Array.isArray(option)) option.forEach(name => add(name));
+  else Object.entries(option || {}).forEach(([name, resolvers]) => add(name, [].concat(resolvers || [])));
+  return secrets;
+}
+
+/**
+ * The text forms of the secrets' current values, longest first.
+ * @param {string[]} names - dotted context paths
+ * @param {(path: string) => any} lookup
+ */
+function secretValues(names, lookup) {
+  return names
+    .map(lookup)
+    .filter(value => value !== undefined && value !== null && typeof value !== 'object')
+    .map(String)
+    .filter(value => value.length >= MIN_MASKED_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactText(text, values) {
+  return values.reduce((out, value) => out.split(value).join(MASK), text);
+}
+
+/**
+ * Deep copy of `value` with secret keys and secret values masked.
+ * @param {any} value
+ * @param {{ names: string[], values: string[] }} secrets
+ */
+function redact(value, { names, values }) {
+  if (typeof value === 'string') return redactText(value, values);
+  if (Array.isArray(value)) return value.map(item => redact(item, { names, values }));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (source !== value) return redact(source, { names, values });
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      names.includes(key) ? MASK : redact(item, { names, values })
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Copy of a context without the given (dotted) paths.
+ */
+function omitPaths(context, paths) {
+  const copy = JSON.parse(JSON.stringify(context));
+  for (const p of paths) {
+    const keys = p.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), copy);
+    if (parent && typeof parent === 'object') delete parent[last];
+  }
+  return copy;
+}
+
+module.exports = { MASK, collectSecrets, secretValues, redactText, redact, omitPaths };
@@ -0,0 +1,23 @@
+/**
+ * Abstract destination for finished spans. The tracer hands every span to
+ * `export()` as soon as it ends.
+ */
+class SpanExporter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * @param {import('./Tracer').Span[]} spans
+   */
+  export(spans) {
+    throw new Error('Span exporter cannot export spans');
+  }
+
+  /**
+   * Write out anything buffered. Called when a run ends.
+   */
+  async flush() {}
+}
+
+module.exports = SpanExporter;
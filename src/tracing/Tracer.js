@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+/**
+ * Minimal OpenTelemetry-style tracing: spans with trace/span ids, a parent,
+ * attributes, events and a status, handed to an exporter when they end.
+ * No OpenTelemetry packages are needed; exporters write the OTLP/JSON shape.
+ */
+
+// Wall-clock time in nanoseconds, with sub-millisecond precision
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+class Span {
+  constructor(tracer, name, { parent = null, kind = 'internal', attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind; // 'internal' or 'client' (calls out of the kernel)
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'unset', message: null };
+    this.startTime = nowNanos();
+    this.endTime = null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowNanos(), attributes });
+    return this;
+  }
+
+  // code: 'ok' or 'error'
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordException(err) {
+    this.addEvent('exception', { 'exception.type': err.name, 'exception.message': err.message });
+    return this.setStatus('error', err.message);
+  }
+
+  get durationMs() {
+    return this.endTime === null ? null : Number(this.endTime - this.startTime) / 1e6;
+  }
+
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    this.attributes['olang.duration_ms'] = this.durationMs;
+    if (this.tracer.exporter) this.tracer.exporter.export([this]);
+  }
+}
+
+class Tracer {
+  /**
+   * @param {object} [options]
+   * @param {import('./SpanExporter')} [options.exporter] - spans are dropped without one
+   * @param {string} [options.serviceName='olang-kernel']
+   */
+  constructor({ exporter = null, serviceName = 'olang-kernel' } = {}) {
+    this.exporter = exporter;
+    this.serviceName = serviceName;
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} [options] - { parent, kind, attributes }
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    return new Span(this, name, options);
+  }
+
+  async flush() {
+    if (this.exporter) await this.exporter.flush();
+  }
+}
+
+module.exports = { Tracer, Span };
@@ -0,0 +1,25 @@
+const SpanExporter = require('../SpanExporter');
+
+/**
+ * Keeps finished spans in memory, for tests and embedding apps.
+ */
+class InMemorySpanExporter extends SpanExporter {
+  constructor(options = {}) {
+    super(options);
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+  }
+
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+module.exports = InMemorySpanExporter;
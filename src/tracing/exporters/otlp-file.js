@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const SpanExporter = require('../SpanExporter');
+
+const KIND = { internal: 1, client: 3 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Appends spans to a file as OTLP/JSON: one ExportTraceServiceRequest
+ * ({ resourceSpans: [...] }) per line, the format of the OpenTelemetry
+ * Collector's file exporter, so the file can be replayed into any backend.
+ */
+class OtlpJsonFileExporter extends SpanExporter {
+  constructor(file = './logs/traces.jsonl', { serviceName = 'olang-kernel', ...options } = {}) {
+    super(options);
+    this.file = path.resolve(file);
+    this.serviceName = serviceName;
+  }
+
+  export(spans) {
+    const request = {
+      resourceSpans: [{
+        resource: { attributes: toAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: '@o-lang/olang' },
+          spans: spans.map(toOtlpSpan)
+        }]
+      }]
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(request) + '\n', 'utf8');
+  }
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: KIND[span.kind] || KIND.internal,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map(e => ({
+      timeUnixNano: String(e.time),
+      name: e.name,
+      attributes: toAttributes(e.attributes)
+    })),
+    status: {
+      code: STATUS[span.status.code] || STATUS.unset,
+      ...(span.status.message ? { message: span.status.message } : {})
+    }
+  };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+module.exports = OtlpJsonFileExporter;
@@ -0,0 +1,12 @@
+const { Tracer, Span } = require('./Tracer');
+const SpanExporter = require('./SpanExporter');
+const InMemorySpanExporter = require('./exporters/memory');
+const OtlpJsonFileExporter = require('./exporters/otlp-file');
+
+module.exports = {
+  Tracer,
+  Span,
+  SpanExporter,
+  InMemorySpanExporter,
+  OtlpJsonFileExporter
+};
@@ -0,0 +1,251 @@
+const { parseCondition } = require('./conditions');
+const { parseAction } = require('./actions');
+
+/**
+ * Static checks on a parsed workflow, run without executing anything.
+ *
+ * Reports diagnostics shaped like the parser's
+ * ({ code, severity, message, line, column, source, suggestion }) plus stepNumber:
+ * - undefined-variable: {var} not set by a parameter or an earlier Save as
+ * - unset-return: Return value that nothing sets
+ * - disallowed-agent: `using X` or `On failure use X` where X is not in Allow resolvers
+ * - disallowed-evolve: Evolve target not in Allow resolvers
+ * - parallel-conflict: two parallel branches saving the same name
+ * - unused-save / shadowed-save: saved values never read, or overwritten before being read
+ */
+
+// Names the runtime puts in context itself
+const BUILTINS = new Set(['workflow_name', '__generation']);
+
+const rootOf = (p) => String(p).trim().split('.')[0];
+
+function textRefs(text) {
+  const refs = [];
+  String(text || '').replace(/\{([^}]+)\}/g, (_, p) => refs.push(p.trim()));
+  return refs;
+}
+
+function conditionRefs(condition) {
+  let ast;
+  try {
+    ast = parseCondition(condition);
+  } catch {
+    return []; // already reported by the parser
+  }
+  const refs = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'ref') refs.push(node.path);
+    [node.left, node.right, node.operand].forEach(visit);
+    (node.items || []).forEach(visit);
+  };
+  visit(ast);
+  return refs;
+}
+
+function stepRefs(step) {
+  switch (step.type) {
+    case 'action':
+      return textRefs(step.actionRaw);
+    case 'calculate':
+      return textRefs(step.expression);
+    case 'if':
+    case 'repeat':
+      return conditionRefs(step.condition);
+    case 'foreach':
+      return [step.collection];
+    case 'prompt':
+      return textRefs(step.question);
+    case 'emit':
+      if (!step.payload) return [];
+      if (step.payload.type === 'ref') return [step.payload.path];
+      if (step.payload.type === 'text') return textRefs(step.payload.template);
+      return step.payload.paths;
+    case 'persist':
+    case 'persist-db':
+      return [step.source];
+    case 'debrief':
+      return textRefs(step.message);
+    case 'connect':
+      return textRefs(step.endpoint);
+    default:
+      return [];
+  }
+}
+
+function validateWorkflow(workflow) {
+  const diagnostics = [];
+  const report = (code, severity, message, node, suggestion = null) => {
+    diagnostics.push({
+      code,
+      severity,
+      message,
+      line: node && node.line ? node.line : null,
+      column: null,
+      source: '',
+      suggestion,
+      stepNumber: node && node.stepNumber !== undefined ? node.stepNumber : null
+    });
+  };
+
+  if (workflow.maxGenerations !== null && workflow.maxGenerations !== undefined && workflow.maxGenerations <= 0) {
+    report('invalid-max-generations', 'error', 'max_generations must be positive', null);
+  }
+
+  const allowed = new Set(workflow.allowedResolvers || []);
+
+  for (const share of workflow.shares || []) {
+    if (!allowed.has(share.agent) && !(workflow.steps || []).some(st => st.type === 'agent_use' && st.logicalName === share.agent)) {
+      report('disallowed-agent', 'warning', `"Share with ${share.agent}" names an agent that is not listed in Allow resolvers`, null,
+        `Add "- ${share.agent}" under Allow resolvers or bind it with Agent "${share.agent}" uses "..."`);
+    }
+  }
+
+  for (const secret of workflow.secrets || []) {
+    for (const resolver of secret.resolvers.filter(r => !allowed.has(r))) {
+      report('disallowed-agent', 'warning', `Secret "${secret.name}" is granted to "${resolver}", which is not listed in Allow resolvers`, null,
+        `Add "- ${resolver}" under Allow resolvers or remove it from the Secret line`);
+    }
+  }
+
+  const bindings = {};
+  const events = []; // reads and writes in program order, for unused/shadowed saves
+
+  const read = (names, node, defined) => {
+    for (const name of names) {
+      const root = rootOf(name);
+      events.push({ kind: 'read', name: root });
+      if (!defined.has(root) && !BUILTINS.has(root)) {
+        report('undefined-variable', 'error', `"${name}" is used before anything defines "${root}"`, node,
+          `Add "${root}" to the Workflow parameters or save it in an earlier step`);
+      }
+    }
+  };
+
+  const write = (name, node, block, defined) => {
+    if (!name) return;
+    events.push({ kind: 'write', name, node, block });
+    defined.add(name);
+  };
+
+  const checkAgent = (step) => {
+    const onFailure = step.constraints && step.constraints.onFailure;
+    if (onFailure && onFailure.type === 'use' && !allowed.has(onFailure.agent)) {
+      report('disallowed-agent', 'error', `Fallback resolver "${onFailure.agent}" is not listed in Allow resolvers`, step,
+        `Add "- ${onFailure.agent}" under Allow resolvers`);
+    }
+
+    const { agent } = step.descriptor || parseAction(step.actionRaw || '');
+    if (!agent || allowed.has(agent) || allowed.has(bindings[agent])) return;
+    report('disallowed-agent', 'error', `Agent "${agent}" is not listed in Allow resolvers`, step,
+      `Add "- ${agent}" under Allow resolvers`);
+  };
+
+  // Returns the names defined once the block has run
+  const walk = (steps, defined) => {
+    for (const step of steps || []) {
+      switch (step.type) {
+        case 'if': {
+          read(stepRefs(step), step, defined);
+          const thenDefined = walk(step.body, new Set(defined));
+          const elseDefined = walk(step.elseBody, new Set(defined));
+          [...thenDefined, ...elseDefined].forEach(n => defined.add(n));
+          break;
+        }
+
+        case 'parallel': {
+          const savedBy = {};
+          for (const branch of step.steps || []) {
+            // Branches only see what existed before the block
+            const branchDefined = walk([branch], new Set(defined));
+            for (const name of branchDefined) {
+              if (defined.has(name)) continue;
+              if (savedBy[name] !== undefined) {
+                report('parallel-conflict', 'error',
+                  `Parallel branches (steps ${savedBy[name]} and ${branch.stepNumber}) both save "${name}"`, branch);
+              } else {
+                savedBy[name] = branch.stepNumber;
+              }
+            }
+          }
+          Object.keys(savedBy).forEach(n => defined.add(n));
+          break;
+        }
+
+        case 'foreach': {
+          read(stepRefs(step), step, defined);
+          const scope = new Set(defined);
+          scope.add(step.item);
+          scope.add(step.index);
+          const first = events.length;
+          walk(step.steps, scope);
+          // The body's last Save as is collected by the loop
+          const resultKey = [...(step.steps || [])].reverse().find(s => s.saveAs)?.saveAs;
+          if (resultKey) events.push({ kind: 'read', name: resultKey });
+          replayReads(first);
+          write(step.saveAs, step, steps, defined);
+          break;
+        }
+
+        case 'repeat': {
+          const first = events.length;
+          walk(step.steps, defined);
+          read(stepRefs(step), step, defined);
+          replayReads(first);
+          write(step.saveAs, step, steps, defined);
+          break;
+        }
+
+        case 'agent_use':
+          bindings[step.logicalName] = step.resource;
+          break;
+
+        case 'evolve':
+          if (!allowed.has(step.targetResolver)) {
+            report('disallowed-evolve', 'error', `Evolve target "${step.targetResolver}" is not listed in Allow resolvers`, step,
+              `Add "- ${step.targetResolver}" under Allow resolvers`);
+          }
+          write(step.saveAs, step, steps, defined);
+          break;
+
+        default:
+          read(stepRefs(step), step, defined);
+          if (step.type === 'action') checkAgent(step);
+          write(step.saveAs, step, steps, defined);
+      }
+    }
+    return defined;
+  };
+
+  // Loop bodies run again, so their reads also follow their own writes
+  const replayReads = (first) => {
+    events.slice(first).filter(e => e.kind === 'read').forEach(e => events.push({ ...e }));
+  };
+
+  const defined = walk(workflow.steps, new Set(workflow.parameters || []));
+
+  const returnNode = { line: workflow.returnLine || null };
+  for (const value of workflow.returnValues || []) {
+    const root = rootOf(value);
+    events.push({ kind: 'read', name: root });
+    if (!defined.has(root) && !BUILTINS.has(root)) {
+      report('unset-return', 'error', `Return value "${value}" is never set`, returnNode,
+        `Save a step's result as "${root}" or remove it from Return`);
+    }
+  }
+
+  events.forEach((event, i) => {
+    if (event.kind !== 'write') return;
+    const next = events.slice(i + 1).find(e => e.name === event.name);
+    if (!next) {
+      report('unused-save', 'warning', `"${event.name}" is saved but never used or returned`, event.node);
+    } else if (next.kind === 'write' && next.block === event.block) {
+      report('shadowed-save', 'warning',
+        `"${event.name}" is overwritten by step ${next.node.stepNumber} before it is used`, event.node);
+    }
+  });
+
+  return diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+module.exports = { validateWorkflow, stepRefs };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAction } = require('../src/actions');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+test('actions break into verb, object, agent, with clauses, strings and vars', () => {
+  assert.deepStrictEqual(parseAction('Ask Summarizer to "Summarize {doc}"'), {
+    verb: 'Ask', object: 'Summarizer', agent: null, with: [], strings: ['Summarize {doc}'], vars: ['doc']
+  });
+  assert.deepStrictEqual(parseAction('Search for {policy} using PolicySearch'), {
+    verb: 'Search', object: '{policy}', agent: 'PolicySearch', with: [], strings: [], vars: ['policy']
+  });
+  assert.deepStrictEqual(parseAction('Notify {user_id} using Notifier with "Your leave is {status}"'), {
+    verb: 'Notify',
+    object: '{user_id}',
+    agent: 'Notifier',
+    with: ['Your leave is {status}'],
+    strings: ['Your leave is {status}'],
+    vars: ['user_id', 'status']
+  });
+});
+
+test('using and with inside quotes or braces do not start a clause', () => {
+  assert.deepStrictEqual(parseAction('Fetch "a using b" using X with {a} with "b"'), {
+    verb: 'Fetch', object: null, agent: 'X', with: ['{a}', 'b'], strings: ['a using b', 'b'], vars: ['a']
+  });
+  assert.strictEqual(parseAction('Log {with using} now').agent, null);
+});
+
+test('resolvers receive the descriptor next to the interpolated action', async () => {
+  const workflow = parse([
+    'Workflow "Leave" with user_id, status',
+    '',
+    'Allow resolvers:',
+    '- Notifier',
+    '',
+    'Step 1: Notify {user_id} using Notifier with "Your leave is {status}"',
+    'Save as sent',
+    '',
+    'Return sent',
+    ''
+  ].join('\n'), 'leave.ol');
+  assert.strictEqual(workflow.steps[0].descriptor.verb, 'Notify');
+
+  const calls = [];
+  const notifier = Object.assign(async (action, context, { descriptor }) => {
+    calls.push({ action, descriptor });
+    return descriptor.with[0];
+  }, { resolverName: 'Notifier' });
+
+  const result = await execute(workflow, { user_id: 42, status: 'approved' }, notifier, { audit: false, log: () => {} });
+  // The descriptor is interpolated like the action string; vars name the references
+  assert.deepStrictEqual(calls, [{
+    action: 'Notify 42 using Notifier with "Your leave is approved"',
+    descriptor: {
+      verb: 'Notify',
+      object: '42',
+      agent: 'Notifier',
+      with: ['Your leave is approved'],
+      strings: ['Your leave is approved'],
+      vars: ['user_id', 'status']
+    }
+  }]);
+  assert.deepStrictEqual(result, { sent: 'Your leave is approved' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateAst, validateAst } = require('../src/ast');
+const { execute } = require('../src/runtime');
+
+// Output of the unversioned (v0) parser for fixtures/v0-leave-check.ol
+const v0 = require('./fixtures/v0-leave-check.json');
+
+test('migrateAst turns v0 If body strings into action steps', () => {
+  const ast = migrateAst(v0);
+  assert.deepStrictEqual(validateAst(ast), []);
+
+  const branch = ast.steps.find(step => step.type === 'if');
+  assert.deepStrictEqual(branch.body, [{
+    type: 'action',
+    stepNumber: 1,
+    line: null,
+    actionRaw: 'Notify {employee} of {decision}',
+    saveAs: 'notice',
+    constraints: {}
+  }]);
+  assert.deepStrictEqual(branch.elseBody, []);
+});
+
+test('migrateAst attaches a separate Save as line to the action before it', () => {
+  const ast = migrateAst({
+    type: 'workflow',
+    steps: [{ type: 'if', condition: '{a} equals 1', body: ['Notify {a}', 'Save as sent', 'Log {a}'], stepNumber: 1 }]
+  });
+  assert.deepStrictEqual(validateAst(ast), []);
+  assert.deepStrictEqual(ast.steps[0].body.map(s => [s.actionRaw, s.saveAs]), [['Notify {a}', 'sent'], ['Log {a}', null]]);
+});
+
+test('execute() runs a v0 AST with an If', async () => {
+  const seen = [];
+  const resolver = async action => {
+    seen.push(action);
+    if (action.startsWith('Ask HR for balance')) return 10;
+    return 'ok';
+  };
+  resolver.resolverName = 'HR';
+
+  const result = await execute(v0, { employee: 'Ada', days: 3 }, resolver, { audit: false });
+  assert.deepStrictEqual(result, { balance: 10, decision: 'ok' });
+  assert.ok(seen.includes('Notify Ada of ok'));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { AuditLog } = require('../src/audit');
+const { RuntimeAPI } = require('../src/runtime');
+const { parse } = require('../src/parser');
+
+const tempDir = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+const writeLines = (file, entries) => fs.writeFileSync(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+
+const fill = (log, count) => {
+  for (let i = 1; i <= count; i++) log.record({ event: 'resolver.invoke', decision: i % 2 ? 'allow' : 'deny', resolver: `R${i}` });
+};
+
+test('a fresh chain verifies', t => {
+  const log = new AuditLog({ file: path.join(tempDir(t), 'audit.jsonl') });
+  fill(log, 3);
+  assert.deepStrictEqual(log.verify(), { ok: true, entries: 3, problems: [] });
+  assert.deepStrictEqual(readLines(log.file).map(e => e.seq), [1, 2, 3]);
+});
+
+test('verify reports edited, deleted and truncated records', t => {
+  const dir = tempDir(t);
+  const log = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+  fill(log, 4);
+  const entries = readLines(log.file);
+
+  writeLines(log.file, entries.map(e => (e.seq === 2 ? { ...e, decision: 'allow' } : e)));
+  assert.match(log.verify().problems[0].message, /Record 2 was modified/);
+
+  writeLines(log.file, entries.filter(e => e.seq !== 2));
+  assert.match(log.verify().problems[0].message, /Expected record 2, found 3/);
+
+  writeLines(log.file, entries.slice(0, 3));
+  assert.match(log.verify().problems[0].message, /Log ends before record 4/);
+});
+
+test('retention drops old records and keeps the chain verifiable', t => {
+  const file = path.join(tempDir(t), 'audit.jsonl');
+  fill(new AuditLog({ file }), 5);
+
+  const trimmed = new AuditLog({ file, maxEntries: 2 });
+  assert.deepStrictEqual(readLines(file).map(e => e.seq), [4, 5]);
+  assert.strictEqual(trimmed.verify().ok, true);
+});
+
+test('without a key, recomputed hashes pass; with a key they do not', t => {
+  const dir = tempDir(t);
+  const rewrite = file => {
+    // Edit a record, then recompute every hash and the head as an attacker would
+    let prevHash = '0'.repeat(64);
+    const forged = readLines(file).map(({ hash, ...e }) => {
+      const entry = { ...e, decision: 'allow', prevHash };
+      entry.hash = crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+      prevHash = entry.hash;
+      return entry;
+    });
+    writeLines(file, forged);
+    const last = forged[forged.length - 1];
+    const head = JSON.parse(fs.readFileSync(`${file}.head`, 'utf8'));
+    fs.writeFileSync(`${file}.head`, JSON.stringify({ ...head, last: { seq: last.seq, hash: last.hash } }));
+  };
+
+  const plain = new AuditLog({ file: path.join(dir, 'plain.jsonl') });
+  fill(plain, 3);
+  rewrite(plain.file);
+  assert.strictEqual(plain.verify().ok, true);
+
+  const keyed = new AuditLog({ file: path.join(dir, 'keyed.jsonl'), key: 'k3y' });
+  fill(keyed, 3);
+  assert.strictEqual(keyed.verify().ok, true);
+  rewrite(keyed.file);
+  assert.strictEqual(keyed.verify().ok, false);
+
+  const wrongKey = new AuditLog({ file: keyed.file });
+  assert.match(wrongKey.verify().problems[0].message, /log is keyed/);
+});
+
+test('fromEnv is opt-in and the runtime writes nothing by default', async t => {
+  const dir = tempDir(t);
+  assert.strictEqual(AuditLog.fromEnv({}), null);
+  assert.strictEqual(AuditLog.fromEnv({ OLANG_AUDIT_LOG: path.join(dir, 'a.jsonl'), OLANG_AUDIT_KEY: 'k' }).key, 'k');
+
+  const saved = process.env.OLANG_AUDIT_LOG;
+  delete process.env.OLANG_AUDIT_LOG;
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    if (saved !== undefined) process.env.OLANG_AUDIT_LOG = saved;
+  });
+
+  const rt = new RuntimeAPI({ log: () => {} });
+  assert.strictEqual(rt.audit, null);
+  const resolver = async () => 'ok';
+  resolver.resolverName = 'R';
+  await rt.executeWorkflow(parse('Workflow "A"\n\nAllow resolvers:\n- R\n\nStep 1: Do it\nSave as x\n\nReturn x\n', 'a.ol'), {}, resolver);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('the runtime records allowed and blocked resolver calls', async t => {
+  const audit = new AuditLog({ file: path.join(tempDir(t), 'audit.jsonl') });
+  const allowed = async () => 'ok';
+  allowed.resolverName = 'R';
+  const blocked = async () => 'no';
+  blocked.resolverName = 'Other';
+
+  const rt = new RuntimeAPI({ audit, log: () => {}, onError: 'continue' });
+  await rt.executeWorkflow(parse('Workflow "A"\n\nAllow resolvers:\n- R\n\nStep 1: Do it using R\nSave as x\nStep 2: Ask Other using Other\nSave as y\n\nReturn x\n', 'a.ol'), {}, [allowed, blocked]);
+
+  const decisions = readLines(audit.file).map(e => [e.event, e.decision, e.resolver]);
+  assert.deepStrictEqual(decisions, [['resolver.invoke', 'allow', 'R'], ['resolver.invoke', 'deny', 'Other']]);
+  assert.strictEqual(audit.verify().ok, true);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = [
+  'Workflow "Lookup" with crm_url, id',
+  '',
+  'Allow resolvers:',
+  '- CRM',
+  '',
+  'Connect "CRM" using "{crm_url}"',
+  'Agent "Customers" uses "CRM"',
+  '',
+  'Step 1: Look up customer {id} using Customers',
+  'Save as customer',
+  '',
+  'Return customer',
+  ''
+].join('\n');
+
+test('Connect and Agent uses parse into binding steps', () => {
+  const workflow = parse(source, 'lookup.ol');
+  assert.deepStrictEqual(workflow.__diagnostics, []);
+  assert.deepStrictEqual(workflow.steps.slice(0, 2), [
+    { type: 'connect', stepNumber: 1, line: 6, resource: 'CRM', endpoint: '{crm_url}' },
+    { type: 'agent_use', stepNumber: 2, line: 7, logicalName: 'Customers', resource: 'CRM' }
+  ]);
+});
+
+test('the bound resource, with its uri interpolated, reaches the resolver', async () => {
+  const calls = [];
+  const crm = named('CRM', async (action, context, invocation) => {
+    calls.push({ action, invocation });
+    return { name: 'Ann' };
+  });
+
+  for (const crm_url of ['https://staging.example', 'https://prod.example']) {
+    const result = await execute(parse(source, 'lookup.ol'), { crm_url, id: 4 }, crm, { audit: false, log: () => {} });
+    assert.deepStrictEqual(result, { customer: { name: 'Ann' } });
+  }
+
+  assert.deepStrictEqual(calls.map(({ action, invocation }) => [action, invocation.agent, invocation.resource]), [
+    ['Look up customer 4 using Customers', 'Customers', { name: 'CRM', uri: 'https://staging.example' }],
+    ['Look up customer 4 using Customers', 'Customers', { name: 'CRM', uri: 'https://prod.example' }]
+  ]);
+  assert.strictEqual(calls[0].invocation.descriptor.verb, 'Look');
+});
+
+test('a Connect with an empty uri is an error', () => {
+  const workflow = parse('Workflow "E"\n\nConnect "CRM" using ""\n\nReturn x\n', 'e.ol');
+  const [diagnostic] = workflow.__diagnostics.filter(d => d.code === 'empty-connect-uri');
+  assert.strictEqual(diagnostic.severity, 'error');
+  assert.strictEqual(diagnostic.line, 3);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { format } = require('../src/printer');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn, extra = {}) => Object.assign(fn, { resolverName: name }, extra);
+
+const mailer = () => named('Mailer', async () => 'sent', {
+  capabilities: { notify: ['Notify'], network: ['Fetch'] }
+});
+
+const run = async (allow, step, resolver = mailer()) => {
+  const source = `Workflow "W"\n\nAllow resolvers:\n${allow}\n\nStep 1: ${step}\nSave as r\n\nReturn r\n`;
+  return execute(parse(source, 'x.ol'), {}, resolver, { audit: false, log: () => {}, envelope: true });
+};
+
+test('a may not line alone does not allow the resolver', async () => {
+  const workflow = parse('Workflow "W"\n\nAllow resolvers:\n- Mailer may not notify\n\nReturn x\n', 'x.ol');
+  assert.deepStrictEqual(workflow.allowedResolvers, []);
+  assert.deepStrictEqual(workflow.capabilityGrants, { Mailer: { allow: [], deny: ['notify'] } });
+
+  const envelope = await run('- Mailer may not notify', 'Fetch the page');
+  assert.strictEqual(envelope.ok, false);
+  assert.match(envelope.errors[0].message, /Resolver "Mailer" blocked by workflow policy/);
+});
+
+test('a plain entry plus a may not line allows everything but the denied capability', async () => {
+  const allow = '- Mailer\n- Mailer may not notify';
+  assert.deepStrictEqual(parse(`Workflow "W"\n\nAllow resolvers:\n${allow}\n\nReturn x\n`, 'x.ol').allowedResolvers, ['Mailer']);
+
+  const fetched = await run(allow, 'Fetch the page');
+  assert.strictEqual(fetched.ok, true);
+
+  const notified = await run(allow, 'Notify the team');
+  assert.strictEqual(notified.ok, false);
+  assert.match(notified.errors[0].message, /may not use capability "notify"/);
+});
+
+test('the printer keeps deny-only and plain-plus-deny entries apart', () => {
+  const denyOnly = 'Workflow "W"\n\nAllow resolvers:\n- Search\n- Mailer may not notify\n\nReturn x\n';
+  assert.strictEqual(format(denyOnly, 'w.ol'), denyOnly);
+
+  const plusDeny = 'Workflow "W"\n\nAllow resolvers:\n- Mailer\n- Mailer may not notify\n\nReturn x\n';
+  assert.strictEqual(format(plusDeny, 'w.ol'), plusDeny);
+  assert.deepStrictEqual(parse(format(plusDeny, 'w.ol'), 'w.ol').allowedResolvers, ['Mailer']);
+});
+
+test('may grants allow only the granted capabilities, with patterns', async () => {
+  const writer = () => named('Writer', async () => 'done', { capabilities: ['fs.write', 'network'] });
+
+  // A list applies to every call, so both capabilities must be granted
+  const partial = await run('- Writer may fs.*', 'Write the report', writer());
+  assert.strictEqual(partial.ok, false);
+  assert.match(partial.errors[0].message, /Resolver "Writer" may not use capability "network" \(step 1\)/);
+  assert.strictEqual(partial.errors[0].name, 'PolicyViolationError');
+  assert.strictEqual(partial.errors[0].capability, 'network');
+
+  assert.strictEqual((await run('- Writer may fs.*, network', 'Write the report', writer())).ok, true);
+  assert.strictEqual((await run('- Writer may *', 'Write the report', writer())).ok, true);
+
+  // A denial wins over a wildcard grant
+  const denied = await run('- Writer may *\n- Writer may not fs.write', 'Write the report', writer());
+  assert.match(denied.errors[0].message, /may not use capability "fs.write"/);
+});
+
+test('a capability map is checked per verb', async () => {
+  const allow = '- Mailer may network';
+  assert.strictEqual((await run(allow, 'Fetch the page')).ok, true);
+
+  const notify = await run(allow, 'Notify the team');
+  assert.match(notify.errors[0].message, /may not use capability "notify"/);
+
+  // A verb the map does not list cannot be checked against the grants
+  const unknown = await run(allow, 'Delete everything');
+  assert.match(unknown.errors[0].message, /has capability grants but declares no capabilities for "Delete"/);
+});
+
+test('resolvers without grant lines keep their declared capabilities', async () => {
+  const envelope = await run('- Mailer', 'Notify the team');
+  assert.strictEqual(envelope.ok, true);
+  assert.deepStrictEqual(envelope.result, { r: 'sent' });
+});
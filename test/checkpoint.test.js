@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('../src/parser');
+const { RuntimeAPI } = require('../src/runtime');
+const { FileCheckpointStore, createCheckpointStore } = require('../src/checkpoint');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = [
+  'Workflow "Pipeline" with api_token, doc',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'Secret api_token',
+  '',
+  'Step 1: Extract {doc}',
+  'Save as extracted',
+  'Step 2: Summarize {extracted}',
+  'Save as summary',
+  '',
+  'Return extracted, summary',
+  ''
+].join('\n');
+
+const tempStore = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-checkpoints-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FileCheckpointStore(dir);
+};
+
+const runtime = store => new RuntimeAPI({ audit: false, log: () => {}, checkpointStore: store, runId: 'run-1' });
+
+test('a failed run resumes after its last completed step', async t => {
+  const store = tempStore(t);
+  const calls = [];
+  const failing = named('R', async action => {
+    calls.push(action);
+    if (action.startsWith('Summarize')) throw new Error('model offline');
+    return 'text';
+  });
+
+  const failed = await runtime(store).runWorkflow(parse(source, 'p.ol'), { api_token: 'sk-live-9f8e', doc: 'a.pdf' }, failing);
+  assert.strictEqual(failed.ok, false);
+
+  const checkpoint = await store.load('run-1');
+  assert.strictEqual(checkpoint.status, 'failed');
+  assert.strictEqual(checkpoint.pc, 1);
+  assert.strictEqual(checkpoint.state.context.extracted, 'text');
+  // Secrets stay out of the stored context and inputs
+  assert.ok(!JSON.stringify(checkpoint).includes('sk-live-9f8e'));
+
+  calls.length = 0;
+  const working = named('R', async action => { calls.push(action); return 'summary'; });
+  const resumed = await runtime(store).resume('run-1', working, { envelope: true, inputs: { api_token: 'sk-live-9f8e' } });
+
+  assert.strictEqual(resumed.ok, true);
+  assert.deepStrictEqual(resumed.result, { extracted: 'text', summary: 'summary' });
+  assert.deepStrictEqual(calls, ['Summarize text']);
+  assert.strictEqual((await store.load('run-1')).status, 'completed');
+
+  await assert.rejects(runtime(store).resume('run-1', working), /Run "run-1" already completed/);
+});
+
+test('resume warns about secrets that are not passed again', async t => {
+  const store = tempStore(t);
+  const failing = named('R', async action => {
+    if (action.startsWith('Summarize')) throw new Error('model offline');
+    return 'text';
+  });
+  await runtime(store).runWorkflow(parse(source, 'p.ol'), { api_token: 'sk-live-9f8e', doc: 'a.pdf' }, failing);
+
+  const resumed = await runtime(store).resume('run-1', named('R', async () => 'summary'), { envelope: true });
+  assert.ok(resumed.warnings.includes('Secret "api_token" is not stored in checkpoints; pass it again when resuming'));
+});
+
+test('the file store lists, removes and rejects unsafe run ids', async t => {
+  const store = tempStore(t);
+  await runtime(store).runWorkflow(parse(source, 'p.ol'), { api_token: 'sk-live-9f8e', doc: 'a.pdf' }, named('R', async () => 'x'));
+
+  assert.deepStrictEqual((await store.list()).map(({ runId, workflowName, status }) => ({ runId, workflowName, status })), [
+    { runId: 'run-1', workflowName: 'Pipeline', status: 'completed' }
+  ]);
+  await store.remove('run-1');
+  assert.strictEqual(await store.load('run-1'), null);
+  await assert.rejects(store.load('../etc/passwd'), /Invalid run id/);
+
+  await assert.rejects(runtime(store).resume('missing', []), /No checkpoint for run "missing"/);
+  assert.ok(createCheckpointStore(store.dir) instanceof FileCheckpointStore);
+});
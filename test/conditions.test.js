@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCondition, evaluateCondition, ConditionSyntaxError } = require('../src/conditions');
+
+const check = (source, context) => evaluateCondition(parseCondition(source), path => context[path]);
+
+test('bare names on the left are context references', () => {
+  assert.strictEqual(check('approved', { approved: true }), true);
+  assert.strictEqual(check('status equals "APPROVED"', { status: 'APPROVED' }), true);
+});
+
+test('quoted text and {references} on the right are compared', () => {
+  assert.strictEqual(check('{status} equals "APPROVED"', { status: 'APPROVED' }), true);
+  assert.strictEqual(check('{status} equals {expected}', { status: 'APPROVED', expected: 'APPROVED' }), true);
+  assert.strictEqual(check('{status} is one of ["APPROVED", {fallback}]', { status: 'HELD', fallback: 'HELD' }), true);
+});
+
+test('a bare word on the right is an error', () => {
+  assert.throws(() => parseCondition('{status} equals APPROVED'), err =>
+    err instanceof ConditionSyntaxError && /write "APPROVED" for text or \{APPROVED\}/.test(err.message));
+  assert.throws(() => parseCondition('{status} is one of [APPROVED, "HELD"]'), ConditionSyntaxError);
+});
+
+test('literal words stay allowed on the right', () => {
+  assert.strictEqual(check('{done} equals true', { done: true }), true);
+  assert.strictEqual(check('{value} equals null', {}), true);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = shares => parse([
+  'Workflow "Private" with user, ssn, notes',
+  '',
+  'Allow resolvers:',
+  '- Summarizer',
+  '',
+  ...shares,
+  '',
+  'Step 1: Summarize {user.name} using Summarizer',
+  'Save as summary',
+  '',
+  'Return summary',
+  ''
+].join('\n'), 'private.ol');
+
+const inputs = () => ({ user: { name: 'Ann', email: 'ann@example.com' }, ssn: '123-45-6789', notes: ['a'] });
+
+const capture = (seen, reply = 'ok') => named('Summarizer', async (action, context) => {
+  seen.push(context);
+  return typeof reply === 'function' ? reply(context) : reply;
+});
+
+test('resolvers get only the referenced variables and workflow_name', async () => {
+  const seen = [];
+  await execute(source([]), inputs(), capture(seen), { audit: false, log: () => {} });
+  assert.deepStrictEqual(seen, [{ workflow_name: 'Private', user: { name: 'Ann' } }]);
+});
+
+test('the view is a frozen copy that cannot change the workflow or the inputs', async () => {
+  const given = inputs();
+  const seen = [];
+  const envelope = await execute(source(['Share with Summarizer: user, notes']), given, capture(seen, context => {
+    assert.throws(() => context.notes.push('b'), TypeError);
+    Reflect.set(context.user, 'name', 'Mallory');
+    return context.user.name;
+  }), { audit: false, log: () => {}, envelope: true });
+
+  const [view] = seen;
+  assert.ok(Object.isFrozen(view) && Object.isFrozen(view.user) && Object.isFrozen(view.notes));
+  assert.deepStrictEqual(envelope.result, { summary: 'Ann' });
+  assert.deepStrictEqual(given, inputs());
+  assert.strictEqual(Object.isFrozen(given.user), false);
+});
+
+test('Share with widens the view for a resolver, agent or resource', async () => {
+  const seen = [];
+  const workflow = source(['Share with Summarizer: notes', 'Share with Summarizer: user.email']);
+  assert.deepStrictEqual(workflow.shares, [{ agent: 'Summarizer', vars: ['notes', 'user.email'] }]);
+
+  await execute(workflow, inputs(), capture(seen), { audit: false, log: () => {} });
+  assert.deepStrictEqual(seen, [{
+    workflow_name: 'Private',
+    user: { name: 'Ann', email: 'ann@example.com' },
+    notes: ['a']
+  }]);
+  assert.ok(!('ssn' in seen[0]));
+
+  // Shares for another agent are not visible
+  const other = [];
+  await execute(source(['Share with Mailer: ssn']), inputs(), capture(other), { audit: false, log: () => {} });
+  assert.ok(!('ssn' in other[0]));
+
+  // A logical agent bound to a resource the resolver serves
+  const bound = [];
+  const byAgent = parse([
+    'Workflow "Bound" with user, notes',
+    '',
+    'Allow resolvers:',
+    '- Summarizer',
+    '',
+    'Share with Writer: notes',
+    '',
+    'Connect "Summarizer" using "https://llm.example"',
+    'Agent "Writer" uses "Summarizer"',
+    'Step 3: Summarize {user.name} using Writer',
+    'Save as summary',
+    '',
+    'Return summary',
+    ''
+  ].join('\n'), 'bound.ol');
+  await execute(byAgent, inputs(), capture(bound), { audit: false, log: () => {} });
+  assert.deepStrictEqual(bound, [{ workflow_name: 'Bound', user: { name: 'Ann' }, notes: ['a'] }]);
+});
+
+test('an invalid Share with line is reported', () => {
+  const [diagnostic] = source(['Share with Summarizer: {bad var}']).__diagnostics.filter(d => d.code === 'invalid-share');
+  assert.strictEqual(diagnostic.severity, 'error');
+  assert.strictEqual(diagnostic.line, 6);
+});
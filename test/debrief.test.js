@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const workflow = allow => parse([
+  'Workflow "Review" with score',
+  '',
+  'Allow resolvers:',
+  ...allow.map(name => `- ${name}`),
+  '',
+  'Step 1: Debrief Scorer with "score was {score}"',
+  'Step 2: Debrief Auditor with "run finished"',
+  '',
+  'Return score',
+  ''
+].join('\n'), 'review.ol');
+
+const run = (allow, resolvers, listeners = {}) =>
+  execute(workflow(allow), { score: 8 }, resolvers, { audit: false, log: () => {}, listeners, envelope: true });
+
+test('Debrief parses into a debrief step', () => {
+  const [step] = workflow(['Scorer']).steps;
+  assert.deepStrictEqual(
+    { type: step.type, agent: step.agent, message: step.message },
+    { type: 'debrief', agent: 'Scorer', message: 'score was {score}' }
+  );
+});
+
+test('debriefs are interpolated, delivered to the named resolver and returned', async () => {
+  const received = [];
+  const scorer = named('Scorer', async (action, context, invocation) => {
+    received.push({ action, debrief: invocation.debrief });
+    return 'thanks';
+  });
+  const events = [];
+
+  const envelope = await run(['Scorer'], [scorer], { debrief: payload => events.push(payload) });
+
+  assert.strictEqual(envelope.ok, true);
+  assert.deepStrictEqual(received, [{
+    action: 'Debrief Scorer with "score was 8"',
+    debrief: { agent: 'Scorer', message: 'score was 8' }
+  }]);
+  assert.deepStrictEqual(events, [{ agent: 'Scorer', message: 'score was 8' }, { agent: 'Auditor', message: 'run finished' }]);
+
+  // Auditor has no resolver, so its debrief is only logged
+  const debriefs = envelope.result.__debriefs.map(({ agent, message, delivered, response }) => ({ agent, message, delivered, response }));
+  assert.deepStrictEqual(debriefs, [
+    { agent: 'Scorer', message: 'score was 8', delivered: true, response: 'thanks' },
+    { agent: 'Auditor', message: 'run finished', delivered: false, response: undefined }
+  ]);
+});
+
+test('a failed or blocked delivery warns and the run goes on', async () => {
+  const scorer = named('Scorer', async () => { throw new Error('inbox full'); });
+  const auditor = named('Auditor', async () => 'ok');
+
+  // Auditor is loaded but not in Allow resolvers
+  const envelope = await run(['Scorer'], [scorer, auditor]);
+
+  assert.strictEqual(envelope.ok, true);
+  assert.deepStrictEqual(envelope.result.__debriefs.map(d => [d.agent, d.delivered]), [['Scorer', false], ['Auditor', false]]);
+  assert.match(envelope.result.__debriefs[0].error, /inbox full/);
+  assert.ok(envelope.warnings.some(w => /Debrief delivery to Scorer failed: inbox full/.test(w)));
+  assert.ok(envelope.warnings.some(w => /Debrief delivery to Auditor failed: .*blocked by workflow policy/.test(w)));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+
+const blocks = [
+  'Workflow "B" with items, x',
+  '',
+  'If {x} equals "a" then',
+  '  Notify the team',
+  '  Log the result',
+  '  Save as logged',
+  'Else',
+  '  Ignore it',
+  'End If',
+  '',
+  'Run in parallel',
+  '  Fetch orders',
+  '  Save as orders',
+  '  Fetch users',
+  '  Save as users',
+  'End',
+  '',
+  'For each item in {items}',
+  '  Use {item}',
+  '  Save as used',
+  'End',
+  'Save as all',
+  '',
+  'Return all',
+  ''
+].join('\n');
+
+test('strict mode accepts bare actions inside block bodies', () => {
+  const workflow = parse(blocks, 'x.ol', { strict: true });
+  assert.deepStrictEqual(workflow.__diagnostics, []);
+
+  const [branch, parallel, loop] = workflow.steps;
+  assert.deepStrictEqual(branch.body.map(s => [s.actionRaw, s.saveAs]), [['Notify the team', null], ['Log the result', 'logged']]);
+  assert.deepStrictEqual(branch.elseBody.map(s => s.actionRaw), ['Ignore it']);
+  assert.deepStrictEqual(parallel.steps.map(s => s.saveAs), ['orders', 'users']);
+  assert.deepStrictEqual(loop.steps.map(s => s.actionRaw), ['Use {item}']);
+});
+
+test('strict mode still rejects unknown statements at top level', () => {
+  const source = 'Workflow "T" with a\n\nStep 1: Use {a}\nSave as b\nFrobnicate things\n\nReturn b\n';
+  assert.throws(() => parse(source, 'x.ol', { strict: true }), { name: 'ParseError', message: /x\.ol:5:1 \[unknown-statement\]/ });
+
+  const [diagnostic] = parse(source, 'x.ol', { strict: true, throwOnError: false }).__diagnostics;
+  assert.strictEqual(diagnostic.code, 'unknown-statement');
+  assert.strictEqual(diagnostic.severity, 'error');
+  assert.strictEqual(diagnostic.line, 5);
+
+  const lenient = parse(source, 'x.ol').__diagnostics;
+  assert.strictEqual(lenient[0].severity, 'warning');
+});
+
+test('a line after a numbered step inside a block continues that step', () => {
+  const source = 'Workflow "C" with a\n\nIf {a} equals 1 then\n  Step 1: Notify {a}\n  about the change\nEnd If\n\nReturn a\n';
+  const workflow = parse(source, 'x.ol');
+  assert.strictEqual(workflow.steps[0].body[0].actionRaw, 'Notify {a} about the change');
+  assert.deepStrictEqual(workflow.__diagnostics.map(d => d.code), ['continuation-line']);
+});
+
+test('diagnostics carry code, severity, line, column, source and a suggestion', () => {
+  const source = [
+    'Workflow "D" with a',
+    '',
+    'Save as early',
+    'Step 1: Use {a}',
+    'Save as b',
+    '  Retrun b',
+    'Step 1: Again {a}',
+    'Save as c',
+    'End If',
+    'If {a} equals 1 then',
+    '  Use {a}',
+    '',
+    'Return c',
+    ''
+  ].join('\n');
+
+  const lenient = parse(source, 'd.ol');
+  assert.deepStrictEqual(lenient.__diagnostics.map(d => [d.code, d.severity, d.line, d.column]), [
+    ['orphan-save', 'warning', 3, 1],
+    ['unknown-statement', 'warning', 6, 3],
+    ['duplicate-step', 'warning', 7, 1],
+    ['unknown-statement', 'warning', 9, 1],
+    ['unterminated-block', 'error', 10, 1]
+  ]);
+  const [, typo, duplicate, stray] = lenient.__diagnostics;
+  assert.strictEqual(typo.source, 'Retrun b');
+  assert.strictEqual(typo.suggestion, 'Did you mean "Return"?');
+  assert.strictEqual(duplicate.message, 'Duplicate Step 1 (first used on line 4)');
+  assert.match(stray.suggestion, /"End" has no matching block to close/);
+  assert.ok(lenient.__warnings.includes('Line 3: "Save as early" does not follow a step'));
+
+  // Strict mode promotes them all and reports every one in a single error
+  assert.throws(() => parse(source, 'd.ol', { strict: true }), err => {
+    assert.strictEqual(err.name, 'ParseError');
+    assert.strictEqual(err.diagnostics.length, 5);
+    assert.match(err.message, /^\[O-Lang\] 5 parse errors in d\.ol:/);
+    assert.match(err.message, /d\.ol:6:3 \[unknown-statement\] .*\(Did you mean "Return"\?\)/);
+    return true;
+  });
+});
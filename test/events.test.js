@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { PassThrough } = require('stream');
+const { parse } = require('../src/parser');
+const { execute, RuntimeAPI } = require('../src/runtime');
+const { createNdjsonSink, createWebhookSink } = require('../src/events');
+
+const source = [
+  'Workflow "Orders" with order, region',
+  '',
+  'Step 1: Emit "order.placed" with {order}',
+  'Step 2: Emit "order.fields" with order.id, region',
+  'Step 3: Emit "order.text" with "placed {order.id} in {region}"',
+  'Step 4: Emit "ping"',
+  '',
+  'Return region',
+  ''
+].join('\n');
+
+const inputs = { order: { id: 7, total: 12 }, region: 'eu' };
+
+test('Emit parses the event name and payload form', () => {
+  const payloads = parse(source, 'orders.ol').steps.map(step => [step.type, step.event, step.payload]);
+  assert.deepStrictEqual(payloads, [
+    ['emit', 'order.placed', { type: 'ref', path: 'order' }],
+    ['emit', 'order.fields', { type: 'fields', paths: ['order.id', 'region'] }],
+    ['emit', 'order.text', { type: 'text', template: 'placed {order.id} in {region}' }],
+    ['emit', 'ping', null]
+  ]);
+});
+
+test('named listeners get the payload and "*" listeners the full record', async () => {
+  const rt = new RuntimeAPI({ audit: false, log: () => {} });
+  const named = [];
+  const records = [];
+  rt.on('order.placed', payload => named.push(payload));
+  rt.on('*', record => records.push(record));
+
+  await rt.executeWorkflow(parse(source, 'orders.ol'), inputs, []);
+
+  assert.deepStrictEqual(named, [{ id: 7, total: 12 }]);
+  assert.deepStrictEqual(records.map(r => [r.event, r.payload, r.workflow, r.stepNumber]), [
+    ['order.placed', { id: 7, total: 12 }, 'Orders', 1],
+    ['order.fields', { 'order.id': 7, region: 'eu' }, 'Orders', 2],
+    ['order.text', 'placed 7 in eu', 'Orders', 3],
+    ['ping', null, 'Orders', 4]
+  ]);
+  assert.ok(records.every(r => !Number.isNaN(Date.parse(r.timestamp))));
+});
+
+test('the NDJSON sink writes one JSON line per event', async () => {
+  const stream = new PassThrough();
+  await execute(parse(source, 'orders.ol'), inputs, [], {
+    audit: false,
+    log: () => {},
+    listeners: { '*': createNdjsonSink(stream) }
+  });
+
+  const lines = stream.read().toString().trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(l => [l.type, l.event]), [
+    ['event', 'order.placed'], ['event', 'order.fields'], ['event', 'order.text'], ['event', 'ping']
+  ]);
+});
+
+test('the webhook sink posts each event and flush reports failed deliveries', async t => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const record = JSON.parse(body);
+      bodies.push(record);
+      res.statusCode = record.event === 'ping' ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const sink = createWebhookSink(`http://127.0.0.1:${server.address().port}/events`);
+  await execute(parse(source, 'orders.ol'), inputs, [], { audit: false, log: () => {}, listeners: { '*': sink } });
+
+  const failures = await sink.flush();
+  assert.deepStrictEqual(failures, [{ event: 'ping', error: 'HTTP 500 Internal Server Error' }]);
+  assert.deepStrictEqual(bodies.map(b => b.event).sort(), ['order.fields', 'order.placed', 'order.text', 'ping']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+const { JsonlRunHistory, createRunHistory, hashWorkflow, diffRuns } = require('../src/history');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = [
+  'Workflow "Review" with doc, api_token',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'Secret api_token',
+  '',
+  'Step 1: Summarize {doc}',
+  'Save as summary',
+  '',
+  'Return summary',
+  ''
+].join('\n');
+
+const tempDir = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('each run is recorded with inputs, step outputs and result', async t => {
+  const history = new JsonlRunHistory(path.join(tempDir(t), 'runs.jsonl'));
+  const run = (runId, doc, answer) => execute(parse(source, 'review.ol'), { doc, api_token: 'sk-live-9f8e' }, named('R', async () => answer), {
+    audit: false, log: () => {}, history, runId
+  });
+
+  await run('run-a', 'q1.pdf', 'fine');
+  await run('run-b', 'q2.pdf', 'late');
+
+  assert.deepStrictEqual((await history.list()).map(r => [r.runId, r.workflowName, r.status, r.ok]), [
+    ['run-b', 'Review', 'completed', true],
+    ['run-a', 'Review', 'completed', true]
+  ]);
+
+  const record = await history.get('run-a');
+  assert.deepStrictEqual(record.inputs, { doc: 'q1.pdf', api_token: '***' });
+  assert.deepStrictEqual(record.steps.map(s => [s.stepNumber, s.status, s.saveAs, s.output]), [[1, 'ok', 'summary', 'fine']]);
+  assert.deepStrictEqual(record.result, { summary: 'fine' });
+  assert.strictEqual(record.workflowHash, hashWorkflow(parse(source, 'elsewhere.ol')));
+  assert.ok(!fs.readFileSync(history.file, 'utf8').includes('sk-live-9f8e'));
+
+  assert.deepStrictEqual(diffRuns(record, await history.get('run-b')), [
+    { path: 'inputs.doc', before: 'q1.pdf', after: 'q2.pdf' },
+    { path: 'steps[0].output', before: 'fine', after: 'late' },
+    { path: 'result.summary', before: 'fine', after: 'late' }
+  ]);
+});
+
+test('createRunHistory uses JSONL for anything but a SQLite file', () => {
+  assert.ok(createRunHistory('runs.jsonl') instanceof JsonlRunHistory);
+  assert.ok(createRunHistory('logs/history') instanceof JsonlRunHistory);
+});
+
+test('olang run records history only with --history', t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'calc.ol'), 'Workflow "Calc" with a\n\nStep 1: Calculate {a} add 1\nSave as b\n\nReturn b\n');
+  const cli = path.join(__dirname, '..', 'cli.js');
+  const env = { ...process.env };
+  delete env.OLANG_HISTORY;
+  const olang = (...args) => spawnSync(process.execPath, [cli, ...args], { cwd: dir, env, encoding: 'utf8', timeout: 30000 });
+
+  assert.strictEqual(olang('run', 'calc.ol', '-i', 'a=1').status, 0);
+  assert.ok(!fs.existsSync(path.join(dir, 'logs')));
+
+  assert.strictEqual(olang('run', 'calc.ol', '-i', 'a=1', '--history', '--run-id', 'r1').status, 0);
+  const listed = JSON.parse(olang('runs', 'list', '--json').stdout);
+  assert.deepStrictEqual(listed.map(r => r.runId), ['r1']);
+  assert.match(olang('runs', 'show', 'r').stdout, /Run r1 ✅ completed/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = [
+  'Workflow "Route" with s',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'If {s} equals "a" then',
+  '  Step 1: Handle a',
+  '  Save as route',
+  'Else If {s} equals "b" then',
+  '  Handle b',
+  '  Save as route',
+  'Else',
+  '  Handle other',
+  '  Save as route',
+  'End If',
+  '',
+  'If {s} equals "a", Shout {s}',
+  'Save as loud',
+  '',
+  'Return route, loud',
+  ''
+].join('\n');
+
+const echo = named('R', async action => action);
+
+test('If / Else If / Else parses into nested branches', () => {
+  const workflow = parse(source, 'route.ol');
+  assert.deepStrictEqual(workflow.__diagnostics, []);
+
+  const [branch, inline] = workflow.steps;
+  assert.strictEqual(branch.condition, '{s} equals "a"');
+  assert.deepStrictEqual(branch.body.map(s => [s.actionRaw, s.saveAs]), [['Handle a', 'route']]);
+
+  const [elseIf] = branch.elseBody;
+  assert.strictEqual(elseIf.type, 'if');
+  assert.strictEqual(elseIf.elseIf, true);
+  assert.strictEqual(elseIf.condition, '{s} equals "b"');
+  assert.deepStrictEqual(elseIf.body.map(s => s.actionRaw), ['Handle b']);
+  assert.deepStrictEqual(elseIf.elseBody.map(s => s.actionRaw), ['Handle other']);
+
+  // The one-line form takes the Save as on the next line
+  assert.strictEqual(inline.inline, true);
+  assert.deepStrictEqual(inline.body.map(s => [s.actionRaw, s.saveAs]), [['Shout {s}', 'loud']]);
+  assert.deepStrictEqual(inline.elseBody, []);
+});
+
+test('only the first matching branch runs', async () => {
+  const run = s => execute(parse(source, 'route.ol'), { s }, echo, { audit: false, log: () => {} });
+
+  assert.deepStrictEqual(await run('a'), { route: 'Handle a', loud: 'Shout a' });
+  assert.deepStrictEqual(await run('b'), { route: 'Handle b', loud: undefined });
+  assert.deepStrictEqual(await run('z'), { route: 'Handle other', loud: undefined });
+});
+
+test('an unterminated If and an invalid condition are reported', () => {
+  const unterminated = parse('Workflow "U" with s\n\nIf {s} equals "a" then\n  Handle a\n\nReturn s\n', 'u.ol');
+  assert.ok(unterminated.__diagnostics.some(d => d.code === 'unterminated-block' && d.line === 3));
+
+  const invalid = parse('Workflow "V" with s\n\nIf {s} equals a then\n  Handle a\nEnd If\n\nReturn s\n', 'v.ol');
+  const [diagnostic] = invalid.__diagnostics.filter(d => d.code === 'invalid-condition');
+  assert.strictEqual(diagnostic.severity, 'error');
+  assert.strictEqual(diagnostic.line, 3);
+});
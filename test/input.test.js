@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+const { PassThrough } = require('stream');
+const { AnswersInputProvider, ReadlineInputProvider, SuspendableInputProvider } = require('../src/input');
+
+const source = 'Workflow "Ask"\n\nStep 1: Prompt user to "Approve?"\nSave as approved\n\nReturn approved\n';
+const run = (workflow, inputs, inputProvider, options = {}) =>
+  execute(parse(workflow, 'x.ol'), inputs, [], { audit: false, log: () => {}, inputProvider, ...options });
+
+test('Prompt parses into a prompt step that saves the answer', () => {
+  const [step] = parse(source, 'x.ol').steps;
+  assert.deepStrictEqual(
+    { type: step.type, question: step.question, saveAs: step.saveAs },
+    { type: 'prompt', question: 'Approve?', saveAs: 'approved' }
+  );
+});
+
+test('the answers provider matches the Save as name, then the question', async () => {
+  const twoPrompts = 'Workflow "Ask" with who\n\nStep 1: Prompt user to "Approve for {who}?"\nSave as approved\nStep 2: Prompt user to "Reason?"\nSave as reason\n\nReturn approved, reason\n';
+  const provider = new AnswersInputProvider({ approved: 'yes', 'Reason?': 'on budget' });
+  assert.deepStrictEqual(await run(twoPrompts, { who: 'ann' }, provider), { approved: 'yes', reason: 'on budget' });
+
+  const envelope = await run(source, {}, new AnswersInputProvider({}), { envelope: true });
+  assert.strictEqual(envelope.ok, false);
+  assert.match(envelope.errors[0].message, /No answer supplied for prompt "Approve\?"/);
+});
+
+test('a Prompt without an input provider fails the step', async () => {
+  const envelope = await run(source, {}, null, { envelope: true });
+  assert.match(envelope.errors[0].message, /Prompt step 1 requires an input provider/);
+});
+
+test('the suspendable provider holds the run until resume', async () => {
+  const inputProvider = new SuspendableInputProvider();
+  const done = run(source, {}, inputProvider);
+
+  const prompt = await inputProvider.nextPrompt();
+  assert.deepStrictEqual(
+    { id: prompt.id, question: prompt.question, name: prompt.name, stepNumber: prompt.stepNumber },
+    { id: '1', question: 'Approve?', name: 'approved', stepNumber: 1 }
+  );
+  assert.deepStrictEqual(inputProvider.getPending().map(p => p.id), ['1']);
+  assert.throws(() => inputProvider.resume('9', 'no'), /No pending prompt with id "9"/);
+
+  inputProvider.resume(prompt.id, 'yes');
+  assert.deepStrictEqual(await done, { approved: 'yes' });
+  assert.deepStrictEqual(inputProvider.getPending(), []);
+});
+
+test('the readline provider asks on its streams and fails on EOF', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const answered = new ReadlineInputProvider({ input, output }).ask({ question: 'Approve?' });
+  input.write('yes\n');
+  assert.strictEqual(await answered, 'yes');
+  assert.match(output.read().toString(), /Approve\? /);
+
+  const closed = new PassThrough();
+  const unanswered = new ReadlineInputProvider({ input: closed, output: new PassThrough() }).ask({ question: 'Approve?' });
+  closed.end();
+  await assert.rejects(unanswered, /Input closed before an answer to prompt "Approve\?"/);
+});
+
+test('cancel fails the waiting prompt so the run ends', async () => {
+  const inputProvider = new SuspendableInputProvider();
+  const done = run(source, {}, inputProvider, { envelope: true });
+
+  const prompt = await inputProvider.nextPrompt();
+  assert.strictEqual(prompt.question, 'Approve?');
+
+  inputProvider.cancel(new Error('[O-Lang] Run "r1" expired waiting for input'));
+  const envelope = await done;
+  assert.strictEqual(envelope.ok, false);
+  assert.match(envelope.errors[0].message, /expired waiting for input/);
+  assert.deepStrictEqual(inputProvider.getPending(), []);
+  await assert.rejects(inputProvider.ask({ question: 'Again?' }), /expired/);
+});
+
+test('cancel drops nextPrompt waiters left by a finished run', async () => {
+  const inputProvider = new SuspendableInputProvider();
+  inputProvider.nextPrompt();
+  inputProvider.nextPrompt();
+  assert.strictEqual(inputProvider.listeners.length, 2);
+
+  inputProvider.cancel(new Error('finished'));
+  assert.strictEqual(inputProvider.listeners.length, 0);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+const { ConstraintError } = require('../src/errors');
+
+const run = (source, inputs, resolver, options = {}) =>
+  execute(parse(source, 'loop.ol'), inputs, resolver, { audit: false, log: () => {}, ...options });
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+test('For each runs the body per item and collects the last Save as', async () => {
+  const seen = [];
+  const resolver = named('R', async (action, context) => {
+    seen.push(action);
+    return `${context.user}!`;
+  });
+
+  const result = await run([
+    'Workflow "Greet" with users',
+    '',
+    'Allow resolvers:',
+    '- R',
+    '',
+    'For each user, i in {users}',
+    '  Step 1: Greet {user} at {i}',
+    '  Save as greeting',
+    'End',
+    'Save as greetings',
+    '',
+    'Return greetings, greeting, user',
+    ''
+  ].join('\n'), { users: ['ann', 'bob'] }, resolver);
+
+  assert.deepStrictEqual(seen, ['Greet ann at 0', 'Greet bob at 1']);
+  // Writes inside the body stay in the iteration
+  assert.deepStrictEqual(result, { greetings: ['ann!', 'bob!'], greeting: undefined, user: undefined });
+});
+
+test('For each over a value that is not a list runs nothing and warns', async () => {
+  const source = 'Workflow "L" with items\n\nFor each item in {items}\n  Step 1: Use {item}\nEnd\nSave as used\n\nReturn used\n';
+  const envelope = await run(source, { items: 'nope' }, named('R', async () => assert.fail('body ran')), { envelope: true });
+  assert.deepStrictEqual(envelope.result, { used: [] });
+  assert.ok(envelope.warnings.some(w => /For each expects "items" to be a list, got string/.test(w)));
+});
+
+test('Repeat until stops as soon as the condition holds', async () => {
+  let polls = 0;
+  const resolver = named('R', async () => ++polls);
+  const source = [
+    'Workflow "Poll"',
+    '',
+    'Allow resolvers:',
+    '- R',
+    '',
+    'Repeat until {count} at least 3 at most 5 times',
+    '  Step 1: Poll the queue',
+    '  Save as count',
+    'End',
+    '',
+    'Return count',
+    ''
+  ].join('\n');
+
+  assert.deepStrictEqual(await run(source, {}, resolver), { count: 3 });
+  assert.strictEqual(polls, 3);
+});
+
+test('Repeat until fails with a ConstraintError once the bound is exhausted', async () => {
+  const decisions = [];
+  const audit = { record: entry => decisions.push([entry.event, entry.decision, entry.reason]) };
+  const source = 'Workflow "Poll"\n\nAllow resolvers:\n- R\n\nRepeat until {done} at most 2 times\n  Step 1: Poll\n  Save as done\nEnd\n\nReturn done\n';
+
+  await assert.rejects(run(source, {}, named('R', async () => false), { audit }), err =>
+    err instanceof ConstraintError && /not satisfied within 2 iterations/.test(err.message));
+  assert.deepStrictEqual(decisions.filter(d => d[0] === 'constraint.repeat'), [['constraint.repeat', 'deny', 'bound exhausted']]);
+});
+
+test('Repeat until without a bound is a parse error and a runtime ConstraintError', async () => {
+  const source = 'Workflow "Poll"\n\nAllow resolvers:\n- R\n\nRepeat until {done}\n  Step 1: Poll\n  Save as done\nEnd\n\nReturn done\n';
+  const workflow = parse(source, 'loop.ol');
+  assert.deepStrictEqual(workflow.__diagnostics.filter(d => d.severity === 'error').map(d => d.code), ['missing-loop-bound']);
+
+  const decisions = [];
+  const audit = { record: entry => decisions.push([entry.event, entry.decision, entry.reason]) };
+  await assert.rejects(execute(workflow, {}, named('R', async () => true), { audit, log: () => {} }), err =>
+    err instanceof ConstraintError && /requires an "at most N times" bound/.test(err.message));
+  assert.deepStrictEqual(decisions, [['constraint.repeat', 'deny', 'missing bound']]);
+});
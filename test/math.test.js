@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateExpression, ExpressionSyntaxError } = require('../src/math');
+const { RuntimeAPI } = require('../src/runtime');
+
+const functions = { add: (a, b) => a + b, max: list => Math.max(...list) };
+const evaluate = (source, context = {}) => evaluateExpression(source, { resolve: path => context[path], functions });
+
+test('arithmetic, comparisons, references and allowed functions evaluate', () => {
+  assert.strictEqual(evaluate('1 + 2 * 3 - 4 / 2'), 5);
+  assert.strictEqual(evaluate('(1 + 2) * 3 % 5'), 4);
+  assert.strictEqual(evaluate('-{a} + 10', { a: 3 }), 7);
+  assert.strictEqual(evaluate('{a} >= 3', { a: 3 }), true);
+  assert.strictEqual(evaluate('"ab" == "ab"'), true);
+  assert.strictEqual(evaluate('add({a}, max([1, {b}, 2]))', { a: 1, b: 9 }), 10);
+  assert.strictEqual(evaluate('{missing} + 1'), 1);
+});
+
+test('context values are data, never code', () => {
+  assert.strictEqual(evaluate('{input} + 1', { input: '1; process.exit(1)' }), '1; process.exit(1)1');
+});
+
+test('anything outside the grammar is rejected with its position', () => {
+  const rejects = (source, message, position) => assert.throws(() => evaluate(source), err =>
+    err instanceof ExpressionSyntaxError && message.test(err.message) && err.position === position);
+
+  rejects('process.exit(1)', /Unexpected character "\." at position 7/, 7);
+  rejects('1 + constructor("x")', /Unknown function "constructor" at position 4/, 4);
+  rejects('toString()', /Unknown function "toString"/, 0);
+  rejects('1 + ;', /Unexpected character ";" at position 4/, 4);
+  rejects('{a', /Unclosed "\{" at position 0/, 0);
+  rejects('"open', /Unterminated string at position 0/, 0);
+});
+
+test('the runtime turns a bad expression into a warning and 0', () => {
+  const rt = new RuntimeAPI({ audit: false, log: () => {} });
+  rt.context = { a: 2 };
+  assert.strictEqual(rt.evaluateMath('add({a}, 3)'), 5);
+  assert.strictEqual(rt.evaluateMath('globalThis.process'), 0);
+  assert.match(rt.getWarnings()[0].message, /Failed to evaluate math expression: Unexpected character "\." at position 10/);
+});
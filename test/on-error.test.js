@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const breaking = named('R', async action => {
+  if (/^Break/.test(action)) throw new Error('boom');
+  return 'ok';
+});
+
+const run = async (body, options = {}) => {
+  const source = `Workflow "W" with a, items\n\nAllow resolvers:\n- R\n\n${body}\n\nReturn a\n`;
+  const records = [];
+  const envelope = await execute(parse(source, 'x.ol'), { a: 1, items: [1] }, breaking, {
+    audit: false,
+    log: () => {},
+    envelope: true,
+    history: { append: async record => { records.push(record); } },
+    ...options
+  });
+  return { envelope, steps: records[0].steps };
+};
+
+test('a failure inside a block is traced once in stop mode', async () => {
+  const blocks = {
+    if: 'If {a} equals 1 then\n  Break it\nEnd If',
+    parallel: 'Run in parallel\n  Break it\n  Save as x\n  Fine\n  Save as y\nEnd',
+    foreach: 'For each item in {items}\n  Break it\nEnd'
+  };
+
+  for (const [type, body] of Object.entries(blocks)) {
+    const { envelope, steps } = await run(body);
+    assert.strictEqual(envelope.ok, false);
+    assert.strictEqual(envelope.errors.length, 1);
+    assert.deepStrictEqual(steps.filter(s => s.status === 'failed').map(s => [s.type, s.error]), [['action', 'boom']], type);
+    assert.deepStrictEqual(steps.filter(s => s.status === 'propagated').map(s => s.type), [type]);
+  }
+});
+
+const twoSteps = header => parse([
+  'Workflow "M" with a',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  ...(header ? [header, ''] : []),
+  'Step 1: Break it',
+  'Save as broken',
+  'Step 2: Use {a}',
+  'Save as used',
+  '',
+  'Return broken, used',
+  ''
+].join('\n'), 'x.ol');
+
+const runModes = (workflow, options = {}) =>
+  execute(workflow, { a: 1 }, breaking, { audit: false, log: () => {}, envelope: true, ...options });
+
+test('stop ends the run with a typed error carrying the step', async () => {
+  const envelope = await runModes(twoSteps());
+  assert.strictEqual(envelope.ok, false);
+  assert.strictEqual(envelope.result, null);
+  assert.match(envelope.runId, /^[0-9a-f-]{36}$/);
+
+  const [error] = envelope.errors;
+  assert.strictEqual(error.name, 'ResolverError');
+  assert.strictEqual(error.stepNumber, 1);
+  assert.strictEqual(error.line, 6);
+  assert.strictEqual(error.resolver, 'R');
+  assert.strictEqual(error.action, 'Break it');
+});
+
+test('continue warns and goes on; collect also reports the error', async () => {
+  const continued = await runModes(twoSteps('On error: continue'));
+  assert.strictEqual(continued.ok, true);
+  assert.deepStrictEqual(continued.result, { broken: undefined, used: 'ok' });
+  assert.deepStrictEqual(continued.errors, []);
+  assert.ok(continued.warnings.includes('Step 1 failed: boom'));
+
+  const collected = await runModes(twoSteps('On error: collect'));
+  assert.strictEqual(collected.ok, false);
+  assert.deepStrictEqual(collected.result, { broken: undefined, used: 'ok' });
+  assert.deepStrictEqual(collected.errors.map(e => [e.stepNumber, e.message]), [[1, 'boom']]);
+});
+
+test('the workflow header wins over the onError option', async () => {
+  assert.strictEqual((await runModes(twoSteps(), { onError: 'continue' })).ok, true);
+  assert.strictEqual((await runModes(twoSteps('On error: stop'), { onError: 'continue' })).result, null);
+});
+
+test('an unknown On error mode is a parse error', () => {
+  const [diagnostic] = twoSteps('On error: retry').__diagnostics;
+  assert.strictEqual(diagnostic.code, 'invalid-on-error');
+  assert.strictEqual(diagnostic.severity, 'error');
+});
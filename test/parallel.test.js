@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const workflow = body => parse([
+  'Workflow "P" with id',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'Run in parallel',
+  ...body.map(line => `  ${line}`),
+  'End',
+  '',
+  'Return orders, users, profile',
+  ''
+].join('\n'), 'p.ol');
+
+const run = (body, resolver, options = {}) =>
+  execute(workflow(body), { id: 7 }, resolver, { audit: false, log: () => {}, ...options });
+
+test('Run in parallel parses numbered children with Save as on the next line', () => {
+  const [block] = workflow(['Step 1: Fetch orders for {id}', 'Save as orders', 'Step 2: Fetch users', 'Save as users']).steps;
+  assert.strictEqual(block.type, 'parallel');
+  assert.deepStrictEqual(block.steps.map(s => [s.stepNumber, s.actionRaw, s.saveAs]), [
+    [1, 'Fetch orders for {id}', 'orders'],
+    [2, 'Fetch users', 'users']
+  ]);
+});
+
+test('disjoint branch writes are merged into the context', async () => {
+  let running = 0;
+  let overlapped = false;
+  const resolver = named('R', async action => {
+    running++;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    overlapped = overlapped || running > 1;
+    running--;
+    return action.replace('Fetch ', '');
+  });
+
+  const result = await run(['Step 1: Fetch orders for {id}', 'Save as orders', 'Step 2: Fetch users', 'Save as users'], resolver);
+  assert.deepStrictEqual(result, { orders: 'orders for 7', users: 'users', profile: undefined });
+  assert.ok(overlapped, 'branches should run concurrently');
+});
+
+test('two branches saving the same name is an error and nothing is merged', async () => {
+  const resolver = named('R', async action => action);
+  const envelope = await run(
+    ['Step 1: Fetch orders', 'Save as orders', 'Step 2: Fetch more orders', 'Save as orders', 'Step 3: Fetch users', 'Save as users'],
+    resolver,
+    { envelope: true }
+  );
+
+  assert.strictEqual(envelope.ok, false);
+  assert.match(envelope.errors[0].message, /Parallel branches wrote the same context key: "orders" \(steps 1 and 2\)/);
+  assert.deepStrictEqual(envelope.errors[0].conflicts, ['"orders" (steps 1 and 2)']);
+});
+
+test('a failing branch fails the block; with On error continue only that branch saves nothing', async () => {
+  const resolver = named('R', async action => {
+    if (action === 'Fetch users') throw new Error('users down');
+    return action;
+  });
+  const body = ['Step 1: Fetch orders', 'Save as orders', 'Step 2: Fetch users', 'Save as users'];
+
+  const stopped = await run(body, resolver, { envelope: true });
+  assert.strictEqual(stopped.ok, false);
+  assert.strictEqual(stopped.result, null);
+  assert.match(stopped.errors[0].message, /users down/);
+  assert.strictEqual(stopped.errors[0].stepNumber, 2);
+
+  const continued = await run(body, resolver, { envelope: true, onError: 'continue' });
+  assert.strictEqual(continued.ok, true);
+  assert.deepStrictEqual(continued.result, { orders: 'Fetch orders', users: undefined, profile: undefined });
+  assert.ok(continued.warnings.some(w => /Step 2 failed: users down/.test(w)));
+});
+
+test('nested blocks inside a parallel branch write through their own Save as', async () => {
+  const resolver = named('R', async action => action);
+  const result = await run([
+    'If {id} greater than 5 then',
+    '  Step 1: Load profile for {id}',
+    '  Save as profile',
+    'End If',
+    'Step 2: Fetch users',
+    'Save as users'
+  ], resolver);
+
+  assert.deepStrictEqual(result, { orders: undefined, users: 'Fetch users', profile: 'Load profile for 7' });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveOutputPath } = require('../src/persist');
+
+test('resolveOutputPath keeps names that start with ".." inside the root', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-persist-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  assert.strictEqual(resolveOutputPath(root, '..notes.txt'), path.join(root, '..notes.txt'));
+  assert.strictEqual(resolveOutputPath(root, 'out/..draft/a.json'), path.join(root, 'out', '..draft', 'a.json'));
+});
+
+test('resolveOutputPath rejects destinations outside the root', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-persist-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  assert.throws(() => resolveOutputPath(root, '../escape.txt'), /outside the output root/);
+  assert.throws(() => resolveOutputPath(root, '..'), /outside the output root/);
+  assert.throws(() => resolveOutputPath(root, '/etc/passwd'), /outside the output root/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { format } = require('../src/printer');
+
+test('comments inside the Allow resolvers list stay with their entries', () => {
+  const source = [
+    'Workflow "Digest" with topic',
+    '',
+    'Allow resolvers:',
+    '# Search only reads',
+    '- Search may network',
+    '# Summarizer must not send anything',
+    '- Summarizer may not notify',
+    '- Mailer',
+    '',
+    'Secret api_token',
+    '',
+    'Step 1: Search for {topic}',
+    '  Save as results',
+    '',
+    'Return results',
+    ''
+  ].join('\n');
+
+  assert.strictEqual(format(source, 'digest.ol'), source);
+});
+
+test('a plain entry and a grant for the same resolver print as the grant', () => {
+  const source = 'Workflow "W"\n\nAllow resolvers:\n- Search\n# network only\n- Search may network\n\nReturn x\n';
+  assert.strictEqual(format(source, 'w.ol'), 'Workflow "W"\n\nAllow resolvers:\n# network only\n- Search may network\n\nReturn x\n');
+});
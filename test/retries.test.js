@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const workflow = (modifiers, options = {}) => parse([
+  'Workflow "Fetch"',
+  '',
+  'Allow resolvers:',
+  '- Flaky',
+  '- Backup',
+  '',
+  ...(options.onError ? [`On error: ${options.onError}`, ''] : []),
+  'Step 1: Fetch the page using Flaky',
+  ...modifiers,
+  'Save as page',
+  '',
+  'Return page',
+  ''
+].join('\n'), 'fetch.ol');
+
+// Throws for the first `failures` calls, then answers
+const flaky = failures => {
+  const calls = [];
+  return Object.assign(named('Flaky', async () => {
+    calls.push(Date.now());
+    if (calls.length <= failures) throw new Error(`attempt ${calls.length} failed`);
+    return 'page';
+  }), { calls });
+};
+
+const run = (wf, resolvers) => execute(wf, {}, resolvers, { audit: false, log: () => {}, envelope: true });
+
+test('step modifiers parse into constraints', () => {
+  const [step] = workflow(['With retries 2 backoff 10ms', 'Timeout 1.5s', 'On failure use Backup']).steps;
+  assert.deepStrictEqual(step.constraints, { retries: 2, backoffMs: 10, timeoutMs: 1500, onFailure: { type: 'use', agent: 'Backup' } });
+  assert.deepStrictEqual(workflow(['On failure stop']).steps[0].constraints, { onFailure: { type: 'stop' } });
+});
+
+test('retries back off exponentially until a resolver answers', async () => {
+  const resolver = flaky(2);
+  const envelope = await run(workflow(['With retries 3 backoff 20ms']), resolver);
+
+  assert.deepStrictEqual(envelope.result, { page: 'page' });
+  assert.strictEqual(resolver.calls.length, 3);
+  const [first, second, third] = resolver.calls;
+  assert.ok(second - first >= 15, `first wait ${second - first}ms`);
+  assert.ok(third - second >= 35, `second wait ${third - second}ms`);
+  assert.deepStrictEqual(envelope.warnings.filter(w => /^Retrying/.test(w)), [
+    'Retrying step 1 (1/3) after 20ms',
+    'Retrying step 1 (2/3) after 40ms'
+  ]);
+});
+
+test('exhausted retries fail the step with the last resolver error', async () => {
+  const resolver = flaky(5);
+  const envelope = await run(workflow(['With retries 1']), resolver);
+  assert.strictEqual(envelope.ok, false);
+  assert.strictEqual(resolver.calls.length, 2);
+  assert.match(envelope.errors[0].message, /attempt 2 failed/);
+});
+
+test('Timeout bounds each resolver call', async () => {
+  const slow = named('Flaky', () => new Promise(resolve => setTimeout(() => resolve('late'), 200)));
+  const envelope = await run(workflow(['Timeout 20ms']), slow);
+  assert.strictEqual(envelope.ok, false);
+  assert.strictEqual(envelope.errors[0].name, 'ResolverTimeoutError');
+});
+
+test('On failure use calls the fallback resolver once retries are exhausted', async () => {
+  const backup = named('Backup', async () => 'cached page');
+  const envelope = await run(workflow(['With retries 1', 'On failure use Backup']), [flaky(5), backup]);
+  assert.deepStrictEqual(envelope.result, { page: 'cached page' });
+  assert.ok(envelope.warnings.some(w => /Step 1 failed \(.*attempt 2 failed\); using fallback Backup/.test(w)));
+
+  const failing = named('Backup', async () => { throw new Error('backup down'); });
+  const failed = await run(workflow(['On failure use Backup']), [flaky(5), failing]);
+  assert.match(failed.errors[0].message, /Fallback resolver "Backup" failed for step 1: backup down/);
+});
+
+test('On failure stop ends the run even under On error: continue', async () => {
+  const envelope = await run(workflow(['With retries 1', 'On failure stop'], { onError: 'continue' }), flaky(5));
+  assert.strictEqual(envelope.ok, false);
+  assert.strictEqual(envelope.result, null);
+  assert.match(envelope.errors[0].message, /Step 1 failed after 2 attempt\(s\): attempt 2 failed/);
+  assert.strictEqual(envelope.errors[0].attempts, 2);
+});
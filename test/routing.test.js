@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+
+const named = (name, fn, extra = {}) => Object.assign(fn, { resolverName: name }, extra);
+
+const workflow = (steps, bindings = []) => parse([
+  'Workflow "Route" with q',
+  '',
+  'Allow resolvers:',
+  '- CatchAll',
+  '- Search',
+  '- Mailer',
+  '',
+  ...bindings,
+  ...steps,
+  'Save as out',
+  '',
+  'Return out',
+  ''
+].join('\n'), 'route.ol');
+
+const resolvers = calls => [
+  named('CatchAll', async () => { calls.push('CatchAll'); return 'catch-all'; }),
+  named('Search', async () => { calls.push('Search'); return 'searched'; }, { aliases: ['PolicySearch'] }),
+  named('Mailer', async () => { calls.push('Mailer'); return undefined; })
+];
+
+const run = (wf, calls, options = {}) =>
+  execute(wf, { q: 'leave' }, resolvers(calls), { audit: false, log: () => {}, envelope: true, ...options });
+
+test('an action using X only reaches the resolver named X', async () => {
+  const calls = [];
+  const envelope = await run(workflow(['Step 1: Search for {q} using Search']), calls);
+  assert.deepStrictEqual(envelope.result, { out: 'searched' });
+  assert.deepStrictEqual(calls, ['Search']);
+});
+
+test('aliases and resource bindings route to the resolver too', async () => {
+  const byAlias = [];
+  assert.deepStrictEqual((await run(workflow(['Step 1: Search for {q} using PolicySearch']), byAlias)).result, { out: 'searched' });
+  assert.deepStrictEqual(byAlias, ['Search']);
+
+  const byResource = [];
+  const bound = workflow(['Step 3: Search for {q} using Policies'], ['Connect "Search" using "https://search.example"', 'Agent "Policies" uses "Search"']);
+  assert.deepStrictEqual((await run(bound, byResource)).result, { out: 'searched' });
+  assert.deepStrictEqual(byResource, ['Search']);
+});
+
+test('an unmatched agent fails unless the chain fallback is enabled', async () => {
+  const calls = [];
+  const failed = await run(workflow(['Step 1: Search for {q} using Nobody']), calls);
+  assert.strictEqual(failed.ok, false);
+  assert.strictEqual(failed.errors[0].name, 'ResolverError');
+  assert.match(failed.errors[0].message, /No resolver handles agent "Nobody" \(step 1\)/);
+  assert.deepStrictEqual(calls, []);
+
+  const fallback = await run(workflow(['Step 1: Search for {q} using Nobody']), calls, { fallbackToChain: true });
+  assert.deepStrictEqual(fallback.result, { out: 'catch-all' });
+  assert.ok(fallback.warnings.some(w => /No resolver named "Nobody"; falling back to the resolver chain/.test(w)));
+  assert.deepStrictEqual(calls, ['CatchAll']);
+});
+
+test('actions without using go through the chain and the first result wins', async () => {
+  const calls = [];
+  const envelope = await run(workflow(['Step 1: Search for {q}']), calls);
+  assert.deepStrictEqual(envelope.result, { out: 'catch-all' });
+  assert.deepStrictEqual(calls, ['CatchAll']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+const { createWebhookSink } = require('../src/events');
+
+const SECRET = 'supersecret123';
+
+const workflow = () => parse([
+  'Workflow "Deploy" with api_token, region',
+  '',
+  'Allow resolvers:',
+  '- Ops',
+  '',
+  'Secret api_token',
+  '',
+  'Step 1: Emit "token" with {api_token}',
+  'Step 2: Emit "fields" with api_token, region',
+  'Step 3: Emit "text" with "using {api_token} in {region}"',
+  'Step 4: Debrief Ops with "deployed with {api_token}"',
+  '',
+  'Return region',
+  ''
+].join('\n'), 'deploy.ol');
+
+const ops = async () => 'ok';
+ops.resolverName = 'Ops';
+
+test('event and debrief listeners never see a declared secret', async () => {
+  const seen = [];
+  await execute(workflow(), { api_token: SECRET, region: 'eu' }, ops, {
+    audit: false,
+    log: () => {},
+    listeners: {
+      '*': record => seen.push(record),
+      token: payload => seen.push(payload),
+      debrief: payload => seen.push(payload)
+    }
+  });
+
+  const text = JSON.stringify(seen);
+  assert.ok(!text.includes(SECRET), text);
+  assert.deepStrictEqual(seen.find(r => r.event === 'fields').payload, { api_token: '***', region: 'eu' });
+  assert.strictEqual(seen.find(r => r.event === 'text').payload, 'using *** in eu');
+});
+
+test('the webhook sink never posts a declared secret', async t => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      bodies.push(body);
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const sink = createWebhookSink(`http://127.0.0.1:${server.address().port}/events`);
+  await execute(workflow(), { api_token: SECRET, region: 'eu' }, ops, { audit: false, log: () => {}, listeners: { '*': sink } });
+  assert.deepStrictEqual(await sink.flush(), []);
+
+  assert.strictEqual(bodies.length, 3);
+  bodies.forEach(body => assert.ok(!body.includes(SECRET), body));
+});
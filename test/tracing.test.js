@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('../src/parser');
+const { execute } = require('../src/runtime');
+const { Tracer, InMemorySpanExporter, OtlpJsonFileExporter } = require('../src/tracing');
+
+const named = (name, fn) => Object.assign(fn, { resolverName: name });
+
+const source = [
+  'Workflow "Traced" with a',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'Step 1: Use {a}',
+  'Save as b',
+  'Step 2: Flaky {b}',
+  'With retries 1',
+  'Save as c',
+  '',
+  'Return c',
+  ''
+].join('\n');
+
+// Fails the first Flaky call, answers everything else
+const resolver = () => {
+  let failed = false;
+  return named('R', async action => {
+    if (action.startsWith('Flaky') && !failed) {
+      failed = true;
+      throw new Error('flaked');
+    }
+    return 'ok';
+  });
+};
+
+const run = (exporter, options = {}) =>
+  execute(parse(source, 'traced.ol'), { a: 1 }, resolver(), {
+    audit: false, log: () => {}, tracer: new Tracer({ exporter }), runId: 'run-1', ...options
+  });
+
+test('workflow, step and resolver spans nest and carry attributes', async () => {
+  const exporter = new InMemorySpanExporter();
+  await run(exporter);
+
+  const spans = exporter.getFinishedSpans();
+  assert.deepStrictEqual(spans.map(s => s.name), ['resolver R', 'step 1 action', 'resolver R', 'resolver R', 'step 2 action', 'workflow Traced']);
+
+  const byName = name => spans.filter(s => s.name === name);
+  const [workflow] = byName('workflow Traced');
+  const [step1] = byName('step 1 action');
+  const [step2] = byName('step 2 action');
+  const [first, failedCall, retriedCall] = byName('resolver R');
+
+  assert.strictEqual(workflow.parentSpanId, null);
+  assert.ok(spans.every(s => s.traceId === workflow.traceId));
+  assert.strictEqual(step1.parentSpanId, workflow.spanId);
+  assert.strictEqual(first.parentSpanId, step1.spanId);
+  assert.strictEqual(retriedCall.parentSpanId, step2.spanId);
+
+  assert.strictEqual(workflow.attributes['olang.run.id'], 'run-1');
+  assert.strictEqual(workflow.attributes['olang.outcome'], 'ok');
+  assert.deepStrictEqual(
+    [step1.attributes['olang.step.number'], step1.attributes['olang.step.line'], step1.attributes['olang.step.save_as']],
+    [1, 6, 'b']
+  );
+  assert.strictEqual(step2.attributes['olang.retries'], 1);
+  assert.deepStrictEqual([first.attributes['olang.resolver.name'], first.attributes['olang.action']], ['R', 'Use 1']);
+  assert.deepStrictEqual(
+    [failedCall.attributes['olang.attempt'], failedCall.attributes['olang.outcome'], failedCall.status],
+    [1, 'error', { code: 'error', message: 'flaked' }]
+  );
+  assert.strictEqual(failedCall.events[0].name, 'exception');
+  assert.deepStrictEqual([retriedCall.attributes['olang.attempt'], retriedCall.attributes['olang.outcome']], [2, 'result']);
+  assert.ok(spans.every(s => typeof s.attributes['olang.duration_ms'] === 'number'));
+});
+
+test('a failed step marks its span and the workflow span as failed', async () => {
+  const exporter = new InMemorySpanExporter();
+  const failing = named('R', async () => { throw new Error('down'); });
+  await execute(parse(source, 'traced.ol'), { a: 1 }, failing, {
+    audit: false, log: () => {}, tracer: new Tracer({ exporter }), envelope: true
+  });
+
+  const spans = exporter.getFinishedSpans();
+  const step = spans.find(s => s.name === 'step 1 action');
+  const workflow = spans.find(s => s.name === 'workflow Traced');
+  assert.deepStrictEqual([step.attributes['olang.outcome'], step.status.code], ['failed', 'error']);
+  assert.deepStrictEqual([workflow.attributes['olang.outcome'], workflow.status.code], ['failed', 'error']);
+});
+
+test('the OTLP/JSON file exporter writes one export request per span batch', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-traces-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const exporter = new OtlpJsonFileExporter(path.join(dir, 'traces.jsonl'));
+  await run(exporter);
+
+  const requests = fs.readFileSync(exporter.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const spans = requests.flatMap(r => r.resourceSpans[0].scopeSpans[0].spans);
+  assert.strictEqual(spans.length, 6);
+  assert.deepStrictEqual(requests[0].resourceSpans[0].resource.attributes, [{ key: 'service.name', value: { stringValue: 'olang-kernel' } }]);
+
+  const workflow = spans.find(s => s.name === 'workflow Traced');
+  assert.strictEqual(workflow.parentSpanId, undefined);
+  assert.strictEqual(workflow.status.code, 1);
+  assert.match(workflow.startTimeUnixNano, /^\d+$/);
+});
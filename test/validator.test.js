@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parse, validate } = require('../src/parser');
+
+const source = [
+  'Workflow "V" with a',
+  '',
+  'Allow resolvers:',
+  '- R',
+  '',
+  'Step 1: Use {a} and {missing}',
+  'Save as first',
+  'Step 2: Ask for {a} using Ghost',
+  'Save as first',
+  'Step 3: Use {first}',
+  'Save as unused',
+  'Run in parallel',
+  '  Fetch x',
+  '  Save as dup',
+  '  Fetch y',
+  '  Save as dup',
+  'End',
+  'Evolve Other using feedback: "better"',
+  '',
+  'Return first, dup, never',
+  ''
+].join('\n');
+
+const clean = 'Workflow "OK" with a\n\nStep 1: Calculate {a} add 1\nSave as b\n\nReturn b\n';
+
+test('validate reports each semantic problem at its step', () => {
+  assert.deepStrictEqual(validate(parse(source, 'v.ol')).map(d => [d.code, d.severity, d.line]), [
+    ['undefined-variable', 'error', 6],
+    ['shadowed-save', 'warning', 6],
+    ['disallowed-agent', 'error', 8],
+    ['unused-save', 'warning', 10],
+    ['parallel-conflict', 'error', 15],
+    ['disallowed-evolve', 'error', 18],
+    ['unset-return', 'error', 20]
+  ]);
+});
+
+test('validate accepts a workflow whose references are all defined', () => {
+  assert.deepStrictEqual(validate(parse(clean, 'ok.ol')), []);
+});
+
+test('olang check exits 1 on errors and prints JSON with --json', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'olang-check-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'v.ol'), source);
+  fs.writeFileSync(path.join(dir, 'ok.ol'), clean);
+
+  const cli = path.join(__dirname, '..', 'cli.js');
+  const check = (...args) => spawnSync(process.execPath, [cli, 'check', ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+
+  assert.strictEqual(check('ok.ol').status, 0);
+
+  const failed = check('--json', 'v.ol', 'ok.ol');
+  assert.strictEqual(failed.status, 1);
+  const report = JSON.parse(failed.stdout);
+  assert.deepStrictEqual(report.map(({ file, errors, warnings }) => ({ file, errors, warnings })), [
+    { file: 'v.ol', errors: 5, warnings: 2 },
+    { file: 'ok.ol', errors: 0, warnings: 0 }
+  ]);
+  assert.strictEqual(report[0].diagnostics[0].code, 'undefined-variable');
+});